@@ -0,0 +1,113 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+const { DATA_DIR, ensureDir } = require('./store');
+
+// Files sent with the contact form, stored per submission under data/attachments/<id>/.
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
+const MAX_FILES = 3;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 10 * 1024 * 1024;
+
+// The extension picks the type and the first bytes have to agree with it; the
+// client-supplied MIME type is ignored. Office formats are zip (OOXML/ODF) or OLE files.
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+const OLE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const ALLOWED_TYPES = {
+  pdf: { mime: 'application/pdf', magic: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  doc: { mime: 'application/msword', magic: OLE },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', magic: ZIP },
+  xls: { mime: 'application/vnd.ms-excel', magic: OLE },
+  xlsx: { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', magic: ZIP },
+  ppt: { mime: 'application/vnd.ms-powerpoint', magic: OLE },
+  pptx: { mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', magic: ZIP },
+  odt: { mime: 'application/vnd.oasis.opendocument.text', magic: ZIP },
+  txt: { mime: 'text/plain', text: true },
+  md: { mime: 'text/markdown', text: true },
+  png: { mime: 'image/png', magic: [0x89, 0x50, 0x4e, 0x47] },
+  jpg: { mime: 'image/jpeg', magic: [0xff, 0xd8, 0xff] },
+  jpeg: { mime: 'image/jpeg', magic: [0xff, 0xd8, 0xff] },
+};
+
+function acceptList() {
+  return Object.keys(ALLOWED_TYPES).map((ext) => `.${ext}`).join(',');
+}
+
+// Keeps the visitor's file name usable in a Content-Disposition header and email.
+function safeName(name, ext) {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 120);
+  return cleaned || `attachment.${ext}`;
+}
+
+function checkFile(file) {
+  const ext = path.extname(String(file.originalname || '')).slice(1).toLowerCase();
+  const type = ALLOWED_TYPES[ext];
+  if (!type) return { error: `${file.originalname || 'That file'} is not an allowed file type.` };
+  const buffer = file.buffer;
+  if (!buffer || !buffer.length) return { error: `${file.originalname} is empty.` };
+  if (buffer.length > MAX_FILE_BYTES) return { error: `${file.originalname} is too large.` };
+  const matches = type.text
+    ? !buffer.subarray(0, 8192).includes(0)
+    : type.magic.every((byte, i) => buffer[i] === byte);
+  if (!matches) return { error: `${file.originalname} does not look like a .${ext} file.` };
+  return { ext, mime: type.mime };
+}
+
+// Returns { files: [{ buffer, ext, mime, name }] } or { error } for the visitor.
+function checkUploads(files) {
+  const list = Array.isArray(files) ? files : [];
+  if (list.length > MAX_FILES) return { error: `Attach at most ${MAX_FILES} files.` };
+  if (list.reduce((sum, f) => sum + (f.size || 0), 0) > MAX_TOTAL_BYTES) return { error: 'Attachments are too large.' };
+
+  const checked = [];
+  for (const file of list) {
+    const result = checkFile(file);
+    if (result.error) return result;
+    checked.push({ buffer: file.buffer, ext: result.ext, mime: result.mime, name: safeName(file.originalname, result.ext) });
+  }
+  return { files: checked };
+}
+
+function submissionDir(submissionId) {
+  return path.join(ATTACHMENTS_DIR, path.basename(String(submissionId)));
+}
+
+function attachmentPath(submissionId, attachment) {
+  return path.join(submissionDir(submissionId), path.basename(attachment.file));
+}
+
+async function saveAttachments(submissionId, files) {
+  if (!files.length) return [];
+  await ensureDir(submissionDir(submissionId));
+  const saved = [];
+  for (const f of files) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const file = `${id}.${f.ext}`;
+    await fs.writeFile(path.join(submissionDir(submissionId), file), f.buffer);
+    saved.push({ id, file, name: f.name, mime: f.mime, size: f.buffer.length });
+  }
+  return saved;
+}
+
+async function removeAttachments(submissionIds) {
+  for (const id of submissionIds) {
+    await fs.rm(submissionDir(id), { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  ATTACHMENTS_DIR,
+  MAX_FILES,
+  MAX_FILE_BYTES,
+  MAX_TOTAL_BYTES,
+  acceptList,
+  checkUploads,
+  attachmentPath,
+  saveAttachments,
+  removeAttachments,
+};
@@ -0,0 +1,36 @@
+const path = require('path');
+const crypto = require('crypto');
+
+const { DATA_DIR, readJson, updateJson } = require('./store');
+
+const AUDIT_JSON_PATH = path.join(DATA_DIR, 'audit.json');
+const MAX_AUDIT_ENTRIES = 1000;
+
+async function listAuthEvents() {
+  const entries = await readJson(AUDIT_JSON_PATH, []);
+  return Array.isArray(entries) ? entries.slice().reverse() : [];
+}
+
+function recordAuthEvent(req, event, username, details) {
+  const entry = Object.assign(
+    {
+      id: crypto.randomBytes(6).toString('hex'),
+      at: new Date().toISOString(),
+      event,
+      username: String(username || '').slice(0, 80),
+      ip: req.ip || '',
+      userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    },
+    details || {}
+  );
+
+  return updateJson(AUDIT_JSON_PATH, [], (entries) => {
+    entries.push(entry);
+    if (entries.length > MAX_AUDIT_ENTRIES) entries.splice(0, entries.length - MAX_AUDIT_ENTRIES);
+  });
+}
+
+module.exports = {
+  listAuthEvents,
+  recordAuthEvent,
+};
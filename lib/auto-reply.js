@@ -0,0 +1,77 @@
+// Acknowledgement emails go to whatever address a visitor typed in, so they have their
+// own limits (per address, per IP and overall) on top of the contact form's rate limit.
+const LIMITS = {
+  address: { max: 1, windowMs: 24 * 60 * 60 * 1000 },
+  ip: { max: 3, windowMs: 60 * 60 * 1000 },
+  total: { max: 30, windowMs: 60 * 60 * 1000 },
+};
+
+const DEFAULT_SUBJECT = 'Thanks for getting in touch, {{name}}';
+const DEFAULT_BODY = 'Hi {{name}},\n\nThanks for your message about "{{subject}}". I have received it and will get back to you soon.';
+
+const hits = new Map();
+
+function recent(key, windowMs, now) {
+  const list = (hits.get(key) || []).filter((t) => now - t < windowMs);
+  if (list.length) hits.set(key, list);
+  else hits.delete(key);
+  return list;
+}
+
+function prune(now) {
+  hits.forEach((list, key) => {
+    if (!list.some((t) => now - t < LIMITS.address.windowMs)) hits.delete(key);
+  });
+}
+
+// Checks every limit before counting, so a refused reply doesn't use up the others.
+function allowAutoReply({ email, ip }, now) {
+  const at = typeof now === 'number' ? now : Date.now();
+  prune(at);
+  const keys = [
+    [`address:${String(email || '').toLowerCase()}`, LIMITS.address],
+    [`ip:${ip || ''}`, LIMITS.ip],
+    ['total', LIMITS.total],
+  ];
+  if (keys.some(([key, limit]) => recent(key, limit.windowMs, at).length >= limit.max)) return false;
+  keys.forEach(([key]) => hits.set(key, (hits.get(key) || []).concat(at)));
+  return true;
+}
+
+function renderTemplate(template, vars) {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(vars, key) ? vars[key] : match
+  );
+}
+
+function autoReplySettings(site) {
+  const contact = site && site.contact && typeof site.contact === 'object' ? site.contact : {};
+  const settings = contact.autoReply && typeof contact.autoReply === 'object' ? contact.autoReply : {};
+  return {
+    enabled: settings.enabled === true,
+    subject: settings.subject || DEFAULT_SUBJECT,
+    body: settings.body || DEFAULT_BODY,
+  };
+}
+
+// Plain text only, and the visitor's message is never echoed back, so there's nothing
+// worth relaying even if someone submits a stranger's address.
+function buildAutoReply(settings, submission, from) {
+  const oneLine = (v) => String(v || '').replace(/[\r\n]+/g, ' ').trim();
+  const vars = { name: oneLine(submission.name), subject: oneLine(submission.subject) };
+  return {
+    to: submission.email,
+    from,
+    subject: oneLine(renderTemplate(settings.subject, vars)).slice(0, 200),
+    text: renderTemplate(settings.body, vars),
+  };
+}
+
+module.exports = {
+  DEFAULT_SUBJECT,
+  DEFAULT_BODY,
+  allowAutoReply,
+  renderTemplate,
+  autoReplySettings,
+  buildAutoReply,
+};
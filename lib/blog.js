@@ -0,0 +1,123 @@
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+
+// Blog posts live in site.blog.posts. A post with a Markdown `body` gets its own page at
+// /blog/:slug; posts without one keep linking to their external `href`.
+const WORDS_PER_MINUTE = 220;
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/g, '');
+}
+
+// Gives every item a unique slug, keeping the ones already set. `titleOf` picks the
+// field new slugs are made from.
+function assignSlugs(items, titleOf) {
+  const title = titleOf || ((item) => item.title);
+  const used = new Set();
+  return items.map((item) => {
+    const base = slugify(item.slug) || slugify(title(item)) || 'post';
+    let slug = base;
+    for (let n = 2; used.has(slug); n += 1) slug = `${base.slice(0, 76)}-${n}`;
+    used.add(slug);
+    return Object.assign({}, item, { slug });
+  });
+}
+
+// Only web, mail and same-site links survive; anything else (javascript:, data:) is dropped.
+function safeUrl(href) {
+  const value = String(href || '').trim();
+  if (/^(https?:|mailto:)/i.test(value) || /^[/#?]/.test(value) || !/^[a-z][a-z0-9+.-]*:/i.test(value)) return value;
+  return '';
+}
+
+// Posts are written by editors but read by everyone, so raw HTML in the Markdown is
+// shown as text rather than rendered.
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      const url = safeUrl(href);
+      if (!url) return text;
+      const external = /^https?:/i.test(url);
+      return `<a href="${escapeHtml(url)}"${title ? ` title="${escapeHtml(title)}"` : ''}${external ? ' target="_blank" rel="noopener"' : ''}>${text}</a>`;
+    },
+    image({ href, title, text }) {
+      const url = safeUrl(href);
+      if (!url) return escapeHtml(text);
+      return `<img src="${escapeHtml(url)}" alt="${escapeHtml(text)}"${title ? ` title="${escapeHtml(title)}"` : ''} loading="lazy" />`;
+    },
+    code({ text, lang }) {
+      const language = String(lang || '').trim().split(/\s+/)[0].toLowerCase();
+      const highlighted = language && hljs.getLanguage(language)
+        ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+        : hljs.highlightAuto(text).value;
+      const cls = language && hljs.getLanguage(language) ? ` language-${escapeHtml(language)}` : '';
+      return `<pre><code class="hljs${cls}">${highlighted}</code></pre>\n`;
+    },
+  },
+});
+
+function renderMarkdown(md) {
+  return markdown.parse(String(md || ''));
+}
+
+function readingMinutes(md) {
+  const words = String(md || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+function hasPage(post) {
+  return Boolean(post && post.slug && String(post.body || '').trim());
+}
+
+// `date` is free text ("Jan 2026", "2026-01-15"); returns a Date or null when it can't be read.
+function postDate(post) {
+  const ms = Date.parse(String((post && post.date) || ''));
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+function listPosts(site) {
+  const blog = site && site.blog;
+  return blog && Array.isArray(blog.posts) ? blog.posts.filter(Boolean) : [];
+}
+
+function findPost(site, slug) {
+  return listPosts(site).find((p) => hasPage(p) && p.slug === slug) || null;
+}
+
+// Where a homepage teaser points: the post page when there is one, else the external link.
+function postHref(post, withBasePath) {
+  return hasPage(post) ? withBasePath(`/blog/${post.slug}`) : post.href || '#';
+}
+
+module.exports = {
+  slugify,
+  assignSlugs,
+  renderMarkdown,
+  readingMinutes,
+  hasPage,
+  postDate,
+  listPosts,
+  findPost,
+  postHref,
+};
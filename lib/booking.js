@@ -0,0 +1,224 @@
+// Meeting slots for the contact section. Availability is entered in the owner's time
+// zone (site.contact.booking) and every slot is handed out as a UTC instant, so
+// visitors see it in their own zone. A booking is a submission with a `booking` field.
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULTS = {
+  enabled: false,
+  title: 'Intro call',
+  timezone: 'UTC',
+  slotMinutes: 30,
+  bufferMinutes: 15,
+  noticeHours: 24,
+  horizonDays: 21,
+};
+const MINUTE = 60 * 1000;
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toMinutes(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+// Cleans admin input (or site.json) into a usable config.
+function bookingSettings(site) {
+  const raw = (site && site.contact && site.contact.booking) || {};
+  const weekly = (Array.isArray(raw.weekly) ? raw.weekly : [])
+    .map((w) => {
+      const day = parseInt(w && w.day, 10);
+      const start = toMinutes(w && w.start);
+      const end = toMinutes(w && w.end);
+      if (!(day >= 0 && day <= 6) || start === null || end === null || end <= start) return null;
+      return { day, start: String(w.start).trim(), end: String(w.end).trim() };
+    })
+    .filter(Boolean)
+    .slice(0, 28);
+  const blackouts = Array.from(new Set(
+    (Array.isArray(raw.blackouts) ? raw.blackouts : String(raw.blackouts || '').split(/[\r\n,]+/))
+      .map((d) => String(d || '').trim())
+      .filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+  )).sort().slice(0, 200);
+
+  return {
+    enabled: raw.enabled === true,
+    title: String(raw.title || '').trim().slice(0, 80) || DEFAULTS.title,
+    timezone: validTimezone(raw.timezone) && raw.timezone ? raw.timezone : DEFAULTS.timezone,
+    slotMinutes: clampInt(raw.slotMinutes, 10, 240, DEFAULTS.slotMinutes),
+    bufferMinutes: clampInt(raw.bufferMinutes, 0, 120, DEFAULTS.bufferMinutes),
+    noticeHours: clampInt(raw.noticeHours, 0, 24 * 14, DEFAULTS.noticeHours),
+    horizonDays: clampInt(raw.horizonDays, 1, 90, DEFAULTS.horizonDays),
+    weekly,
+    blackouts,
+  };
+}
+
+// The wall-clock date/time parts of `ms` in `tz`.
+function zonedParts(ms, tz) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(new Date(ms))
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+  return parts;
+}
+
+function offsetMs(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// UTC instant for a wall-clock time on a date in `tz`. Checked twice so slots next to
+// a DST change land on the right side of it.
+function zonedToUtc(date, minutes, tz) {
+  const [y, m, d] = date.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, minutes);
+  let ms = guess - offsetMs(guess, tz);
+  ms = guess - offsetMs(ms, tz);
+  return ms;
+}
+
+function isActiveBooking(s) {
+  return Boolean(s && s.booking && s.booking.start) && s.status !== 'spam';
+}
+
+// Busy ranges from stored submissions, widened by the buffer on both sides.
+function busyRanges(submissions, bufferMinutes) {
+  const pad = bufferMinutes * MINUTE;
+  return submissions.filter(isActiveBooking).map((s) => ({
+    start: Date.parse(s.booking.start) - pad,
+    end: Date.parse(s.booking.end) + pad,
+  }));
+}
+
+// Returns open slots as [{ start, end }] ISO strings, soonest first.
+function openSlots(config, submissions, now) {
+  if (!config.enabled || !config.weekly.length) return [];
+  const at = typeof now === 'number' ? now : Date.now();
+  const earliest = at + config.noticeHours * 60 * MINUTE;
+  const busy = busyRanges(submissions, config.bufferMinutes);
+  const blackouts = new Set(config.blackouts);
+  const slots = [];
+
+  const today = zonedParts(at, config.timezone);
+  const first = Date.UTC(+today.year, +today.month - 1, +today.day);
+  for (let i = 0; i <= config.horizonDays; i += 1) {
+    const day = new Date(first + i * 24 * 60 * MINUTE);
+    const date = day.toISOString().slice(0, 10);
+    if (blackouts.has(date)) continue;
+
+    config.weekly
+      .filter((w) => w.day === day.getUTCDay())
+      .forEach((w) => {
+        const end = toMinutes(w.end);
+        for (let t = toMinutes(w.start); t + config.slotMinutes <= end; t += config.slotMinutes + config.bufferMinutes) {
+          const start = zonedToUtc(date, t, config.timezone);
+          const finish = start + config.slotMinutes * MINUTE;
+          if (start < earliest) continue;
+          if (busy.some((b) => start < b.end && b.start < finish)) continue;
+          slots.push({ start: new Date(start).toISOString(), end: new Date(finish).toISOString() });
+        }
+      });
+  }
+  return slots.sort((a, b) => a.start.localeCompare(b.start)).filter((s, i, all) => i === 0 || s.start !== all[i - 1].start);
+}
+
+// The open slot starting at `start`, or undefined once it is taken. /api/booking runs it
+// again inside the submissions queue, which is what stops two visitors booking one slot.
+function findOpenSlot(config, submissions, start, now) {
+  return openSlots(config, submissions, now).find((s) => s.start === start);
+}
+
+function formatSlot(iso, tz) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    dateStyle: 'full',
+    timeStyle: 'short',
+  }).format(new Date(iso));
+}
+
+// RFC 5545 text escaping and 75-octet line folding.
+function icsText(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function icsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function buildIcs({ uid, start, end, summary, description, organizer, attendee, method }) {
+  const cn = (p) => {
+    const name = String(p.name || '').replace(/["\r\n]/g, '');
+    return name ? `;CN="${name}"` : '';
+  };
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//portfolio//booking//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method || 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${icsDate(new Date().toISOString())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `ORGANIZER${cn(organizer)}:mailto:${organizer.email}`,
+    `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE${cn(attendee)}:mailto:${attendee.email}`,
+    'STATUS:CONFIRMED',
+    'SEQUENCE:0',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  DAYS,
+  DEFAULTS,
+  validTimezone,
+  bookingSettings,
+  isActiveBooking,
+  openSlots,
+  findOpenSlot,
+  formatSlot,
+  buildIcs,
+};
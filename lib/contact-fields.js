@@ -0,0 +1,95 @@
+// Extra contact form fields defined in site.contact.form.fields. Name, email, subject
+// and message are always present; these are rendered after them and validated,
+// stored and emailed generically.
+const FIELD_TYPES = ['text', 'email', 'tel', 'url', 'number', 'textarea', 'select', 'checkbox'];
+const MAX_FIELDS = 12;
+const DEFAULT_MAX_LENGTH = { textarea: 2000, checkbox: 3 };
+const RESERVED_IDS = new Set(['name', 'email', 'subject', 'message', 'website', 'formToken', 'fields']);
+
+function fieldId(value) {
+  const id = String(value || '').trim();
+  return /^[a-z][a-zA-Z0-9_]{0,30}$/.test(id) && !RESERVED_IDS.has(id) ? id : '';
+}
+
+function normalizeOptions(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/\r?\n/);
+  return items.map((o) => String(o || '').trim().slice(0, 80)).filter(Boolean).slice(0, 30);
+}
+
+// Cleans admin input (or whatever is in site.json) into field definitions, dropping
+// entries without a usable id/label and duplicate ids.
+function normalizeFields(list) {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : [])
+    .map((f) => {
+      const id = fieldId(f && f.id);
+      const label = String((f && f.label) || '').trim().slice(0, 80);
+      const type = FIELD_TYPES.includes(f && f.type) ? f.type : 'text';
+      if (!id || !label || seen.has(id)) return null;
+      seen.add(id);
+      const maxLength = Math.min(Math.max(parseInt(f.maxLength, 10) || DEFAULT_MAX_LENGTH[type] || 200, 1), 4000);
+      const field = {
+        id,
+        label,
+        type,
+        required: f.required === true || f.required === '1' || (Array.isArray(f.required) && f.required.includes('1')),
+        maxLength,
+      };
+      const placeholder = String(f.placeholder || '').trim().slice(0, 120);
+      if (placeholder) field.placeholder = placeholder;
+      if (type === 'select') field.options = normalizeOptions(f.options);
+      return field;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_FIELDS);
+}
+
+function formFields(site) {
+  const form = site && site.contact && site.contact.form;
+  return normalizeFields(form && form.fields);
+}
+
+// Returns { values: [{ id, label, value }] } or { error } for the visitor.
+function validateFields(defs, input) {
+  const raw = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const values = [];
+
+  for (const field of defs) {
+    let value = raw[field.id];
+    if (field.type === 'checkbox') {
+      value = value === true || value === 'yes' || value === 'on' || value === '1' ? 'yes' : '';
+    } else {
+      value = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+    }
+
+    if (!value) {
+      if (field.required) return { error: `${field.label} is required.` };
+      continue;
+    }
+    if (value.length > field.maxLength) return { error: `${field.label} is too long.` };
+
+    const invalid =
+      (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) ||
+      (field.type === 'tel' && !/^[+()\d\s.-]{5,30}$/.test(value)) ||
+      (field.type === 'url' && !/^https?:\/\/\S+$/i.test(value)) ||
+      (field.type === 'number' && !Number.isFinite(Number(value))) ||
+      (field.type === 'select' && !field.options.includes(value));
+    if (invalid) return { error: `${field.label} is not valid.` };
+
+    values.push({ id: field.id, label: field.label, value });
+  }
+  return { values };
+}
+
+function fieldsText(fields) {
+  return (Array.isArray(fields) ? fields : []).map((f) => `${f.label}: ${f.value}`).join('\n');
+}
+
+module.exports = {
+  FIELD_TYPES,
+  MAX_FIELDS,
+  normalizeFields,
+  formFields,
+  validateFields,
+  fieldsText,
+};
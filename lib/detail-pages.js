@@ -0,0 +1,72 @@
+const blog = require('./blog');
+
+// Project cards and case studies can carry a slug and a Markdown `body`; those get a
+// long-form page of their own. Cards without a body stay homepage-only.
+const KINDS = {
+  projects: {
+    section: 'projects',
+    path: '/projects',
+    label: 'All projects',
+    anchor: '/#projects',
+    title: (card) => card.frontTitle,
+    summary: (card) => card.frontDesc || card.backDesc || '',
+  },
+  casestudies: {
+    section: 'casestudies',
+    path: '/case-studies',
+    label: 'All case studies',
+    anchor: '/#casestudies',
+    title: (card) => card.title,
+    summary: (card) => card.challenge || '',
+  },
+};
+
+function listCards(site, kind) {
+  const section = site && site[KINDS[kind].section];
+  return section && Array.isArray(section.cards) ? section.cards.filter(Boolean) : [];
+}
+
+function sectionEnabled(site, kind) {
+  const section = site && site[KINDS[kind].section];
+  return Boolean(section) && section.enabled !== false;
+}
+
+function findCard(site, kind, slug) {
+  if (!sectionEnabled(site, kind)) return null;
+  return listCards(site, kind).find((c) => blog.hasPage(c) && c.slug === slug) || null;
+}
+
+// The detail page URL, or '' when the card has no page.
+function cardHref(kind, card, withBasePath) {
+  return blog.hasPage(card) ? withBasePath(`${KINDS[kind].path}/${card.slug}`) : '';
+}
+
+function assignSlugs(kind, cards) {
+  return blog.assignSlugs(cards, KINDS[kind].title);
+}
+
+// Title and description for the page head; the card's own SEO fields win.
+function pageSeo(kind, card) {
+  const title = String(card.seoTitle || KINDS[kind].title(card) || '').trim();
+  const description = String(card.seoDescription || KINDS[kind].summary(card) || '').trim();
+  return { title, description };
+}
+
+// Every card page as { kind, card, path }.
+function listPages(site) {
+  return Object.keys(KINDS).flatMap((kind) => (sectionEnabled(site, kind)
+    ? listCards(site, kind)
+      .filter((card) => blog.hasPage(card))
+      .map((card) => ({ kind, card, path: `${KINDS[kind].path}/${card.slug}` }))
+    : []));
+}
+
+module.exports = {
+  KINDS,
+  listCards,
+  findCard,
+  cardHref,
+  assignSlugs,
+  pageSeo,
+  listPages,
+};
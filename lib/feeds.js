@@ -0,0 +1,151 @@
+const blog = require('./blog');
+
+// RSS 2.0, Atom and JSON Feed for site.blog.posts. Every URL goes through the caller's
+// `withBasePath` and is made absolute with `baseUrl`.
+const MAX_ITEMS = 30;
+
+function escapeXml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
+
+// Posts with a page or a real external link, newest first; undated posts keep their
+// admin order after the dated ones.
+function feedItems(site, { baseUrl, withBasePath }) {
+  const absolute = (href) => (/^https?:\/\//i.test(href) ? href : `${baseUrl}${href}`);
+  return blog
+    .listPosts(site)
+    .filter((p) => blog.hasPage(p) || /^https?:\/\//i.test(String(p.href || '')))
+    .map((post, index) => {
+      const url = absolute(blog.postHref(post, withBasePath));
+      return {
+        id: url,
+        url,
+        title: post.title,
+        summary: post.excerpt || '',
+        html: blog.hasPage(post) ? blog.renderMarkdown(post.body) : '',
+        category: post.category || '',
+        date: blog.postDate(post),
+        index,
+      };
+    })
+    .sort((a, b) => (b.date ? b.date.getTime() : -Infinity) - (a.date ? a.date.getTime() : -Infinity) || a.index - b.index)
+    .slice(0, MAX_ITEMS);
+}
+
+function feedInfo(site, { baseUrl, withBasePath }) {
+  const meta = (site.meta && typeof site.meta === 'object') ? site.meta : {};
+  const author = site.hero ? `${site.hero.firstName || ''} ${site.hero.lastName || ''}`.trim() : '';
+  const siteTitle = meta.title ? String(meta.title) : author || 'Portfolio';
+  const blogTitle = site.blog && site.blog.title ? site.blog.title : 'Blog';
+  return {
+    title: `${blogTitle} | ${siteTitle}`,
+    description: (site.blog && site.blog.subtitle) || meta.description || '',
+    author,
+    homeUrl: `${baseUrl}${withBasePath('/')}`,
+    rssUrl: `${baseUrl}${withBasePath('/feed.xml')}`,
+    atomUrl: `${baseUrl}${withBasePath('/atom.xml')}`,
+    jsonUrl: `${baseUrl}${withBasePath('/feed.json')}`,
+  };
+}
+
+function lastUpdated(items) {
+  const dated = items.filter((i) => i.date).map((i) => i.date.getTime());
+  return new Date(dated.length ? Math.max(...dated) : Date.now());
+}
+
+function rss(site, opts) {
+  const info = feedInfo(site, opts);
+  const items = feedItems(site, opts);
+  const entries = items.map((i) => [
+    '    <item>',
+    `      <title>${escapeXml(i.title)}</title>`,
+    `      <link>${escapeXml(i.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(i.id)}</guid>`,
+    i.date ? `      <pubDate>${i.date.toUTCString()}</pubDate>` : '',
+    i.category ? `      <category>${escapeXml(i.category)}</category>` : '',
+    `      <description>${escapeXml(i.summary)}</description>`,
+    i.html ? `      <content:encoded>${escapeXml(i.html)}</content:encoded>` : '',
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${escapeXml(info.title)}</title>`,
+    `    <link>${escapeXml(info.homeUrl)}</link>`,
+    `    <description>${escapeXml(info.description)}</description>`,
+    `    <atom:link href="${escapeXml(info.rssUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${lastUpdated(items).toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function atom(site, opts) {
+  const info = feedInfo(site, opts);
+  const items = feedItems(site, opts);
+  const updated = lastUpdated(items).toISOString();
+  const entries = items.map((i) => [
+    '  <entry>',
+    `    <title>${escapeXml(i.title)}</title>`,
+    `    <link href="${escapeXml(i.url)}" />`,
+    `    <id>${escapeXml(i.id)}</id>`,
+    // Atom requires <updated>; undated posts fall back to the feed's own date.
+    `    <updated>${i.date ? i.date.toISOString() : updated}</updated>`,
+    i.category ? `    <category term="${escapeXml(i.category)}" />` : '',
+    `    <summary>${escapeXml(i.summary)}</summary>`,
+    i.html ? `    <content type="html">${escapeXml(i.html)}</content>` : '',
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(info.title)}</title>`,
+    info.description ? `  <subtitle>${escapeXml(info.description)}</subtitle>` : '',
+    `  <link href="${escapeXml(info.homeUrl)}" />`,
+    `  <link href="${escapeXml(info.atomUrl)}" rel="self" type="application/atom+xml" />`,
+    `  <id>${escapeXml(info.homeUrl)}</id>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeXml(info.author || info.title)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].filter(Boolean).join('\n');
+}
+
+function jsonFeed(site, opts) {
+  const info = feedInfo(site, opts);
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: info.title,
+    home_page_url: info.homeUrl,
+    feed_url: info.jsonUrl,
+    description: info.description || undefined,
+    authors: info.author ? [{ name: info.author }] : undefined,
+    items: feedItems(site, opts).map((i) => ({
+      id: i.id,
+      url: i.url,
+      title: i.title,
+      summary: i.summary || undefined,
+      content_html: i.html || undefined,
+      content_text: i.html ? undefined : i.summary,
+      date_published: i.date ? i.date.toISOString() : undefined,
+      tags: i.category ? [i.category] : undefined,
+    })),
+  };
+}
+
+module.exports = {
+  rss,
+  atom,
+  jsonFeed,
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+
+const blog = require('./blog');
+const detailPages = require('./detail-pages');
+
+// Localized content. site.json stays in the default language; every other language is a
+// flat map of translated strings in `site.translations[<locale>][<section>]`, keyed by
+// the path of the string inside that section ("cards.my-project.frontTitle"). Anything
+// without a translation falls back to the default text.
+const LOCALE_CODE = /^[a-z]{2}(?:-[A-Z]{2})?$/;
+const DEFAULT_LOCALE = 'en';
+const ITEM_KEY = /^[A-Za-z0-9_-]{1,80}$/;
+const ITEM_ID = /^[a-z0-9]{1,24}$/;
+
+// The strings visitors read, per section. Icons, links, slugs, tags, dates and ids stay
+// shared by every language; so do contact form options, which are validated on submit.
+// "list[slug]" and "list[id]" key a list's strings by that item field, so deleting or
+// reordering items keeps each translation on its own item; plain "list[]" uses positions.
+const FIELDS = {
+  meta: ['title', 'description'],
+  nav: ['links[].label'],
+  hero: ['greeting', 'description', 'scrollText', 'titles[]', 'ctas[].label', 'socials[].label'],
+  about: ['title', 'paragraphsHtml[]', 'info[].label', 'info[].value', 'resume.label', 'stats[].label'],
+  techstack: ['title', 'categories[].title', 'categories[].items[].label'],
+  projects: [
+    'title',
+    'filters[].label',
+    'cards[slug].frontTitle',
+    'cards[slug].frontDesc',
+    'cards[slug].backTitle',
+    'cards[slug].backDesc',
+    'cards[slug].link.label',
+    'cards[slug].seoTitle',
+    'cards[slug].seoDescription',
+    'cards[slug].body',
+  ],
+  casestudies: [
+    'title',
+    'subtitle',
+    'cards[slug].tag',
+    'cards[slug].title',
+    'cards[slug].challenge',
+    'cards[slug].architecture[]',
+    'cards[slug].impact[]',
+    'cards[slug].seoTitle',
+    'cards[slug].seoDescription',
+    'cards[slug].body',
+  ],
+  experience: ['title', 'items[id].role', 'items[id].location', 'items[id].details[]'],
+  certifications: ['title', 'cards[id].ribbon.text', 'cards[id].title', 'cards[id].desc'],
+  blog: ['title', 'subtitle', 'posts[slug].category', 'posts[slug].title', 'posts[slug].excerpt', 'posts[slug].body'],
+  github: ['title', 'tagline', 'stats[].label', 'pinned[].desc'],
+  contact: [
+    'title',
+    'description',
+    'details[].label',
+    'details[].value',
+    'socials[].label',
+    'form.nameLabel',
+    'form.emailLabel',
+    'form.subjectLabel',
+    'form.messageLabel',
+    'form.buttonLabel',
+    'form.fields[id].label',
+    'form.fields[id].placeholder',
+    'booking.title',
+  ],
+  footer: ['line1', 'links[].label'],
+};
+
+// Lists whose items have no natural key get a generated `id` (see assignItemIds).
+const GENERATED_IDS = { experience: 'items', certifications: 'cards' };
+
+const SECTIONS = Object.keys(FIELDS);
+
+function defaultLocale(site) {
+  const config = site && site.i18n;
+  return (config && config.defaultLocale) || DEFAULT_LOCALE;
+}
+
+// [{ code, label, isDefault }] with the default language first, or [] when the site only
+// has one language.
+function listLocales(site) {
+  const config = (site && site.i18n) || {};
+  const extra = Array.isArray(config.locales) ? config.locales.filter((l) => l && LOCALE_CODE.test(l.code)) : [];
+  const code = defaultLocale(site);
+  const others = extra.filter((l) => l.code !== code);
+  if (!others.length) return [];
+  return [
+    { code, label: config.defaultLabel || code, isDefault: true },
+    ...others.map((l) => ({ code: l.code, label: l.label || l.code, isDefault: false })),
+  ];
+}
+
+// True for the extra languages; the default one has no URL prefix.
+function hasLocale(site, code) {
+  return listLocales(site).some((l) => !l.isDefault && l.code === code);
+}
+
+// The key of every item in a list, or '' for items that can't be keyed. Slugs are worked
+// out the way the section forms assign them, so cards saved before slugs existed match
+// the slug their next save gives them.
+function itemKeys(sectionId, list, keyedBy) {
+  if (!keyedBy) return list.map((item, i) => String(i));
+  let keys;
+  if (keyedBy === 'slug') {
+    const items = list.map((item) => (item && typeof item === 'object' ? item : {}));
+    keys = (sectionId === 'blog' ? blog.assignSlugs(items) : detailPages.assignSlugs(sectionId, items)).map((item) => item.slug);
+  } else {
+    keys = list.map((item) => (item && typeof item === 'object' ? String(item[keyedBy] || '') : ''));
+  }
+  const seen = new Set();
+  return keys.map((key) => {
+    if (!ITEM_KEY.test(key) || seen.has(key)) return '';
+    seen.add(key);
+    return key;
+  });
+}
+
+// Expands a field pattern against the section's current content, so "cards[slug].title"
+// becomes "cards.first-project.title", "cards.second-project.title", ... Only non-empty
+// strings count. Each match keeps the object and key it was read from.
+function expand(owner, key, parts, prefix, sectionId, out) {
+  const value = owner && typeof owner === 'object' ? owner[key] : undefined;
+  if (!parts.length) {
+    if (typeof value === 'string' && value.trim()) out.push({ path: prefix, text: value, owner, key });
+    return;
+  }
+  const [head, ...rest] = parts;
+  const [, name, keyedBy] = head.match(/^(\w+)(?:\[(\w*)\])?$/);
+  const at = prefix ? `${prefix}.${name}` : name;
+  if (keyedBy === undefined) return expand(value, name, rest, at, sectionId, out);
+  const list = value && typeof value === 'object' ? value[name] : undefined;
+  if (!Array.isArray(list)) return;
+  const keys = itemKeys(sectionId, list, keyedBy);
+  list.forEach((item, i) => {
+    if (keys[i]) expand(list, i, rest, `${at}.${keys[i]}`, sectionId, out);
+  });
+}
+
+function collect(site, sectionId) {
+  const out = [];
+  (FIELDS[sectionId] || []).forEach((pattern) => expand(site, sectionId, pattern.split('.'), '', sectionId, out));
+  return out;
+}
+
+// [{ path, text }] for every translatable string of a section, in the default language.
+function sectionStrings(site, sectionId) {
+  return collect(site, sectionId).map(({ path, text }) => ({ path, text }));
+}
+
+// Gives every item a unique id, keeping the ones already set.
+function assignIds(items) {
+  const used = new Set();
+  return items.map((item) => {
+    if (!item || typeof item !== 'object') return item;
+    let id = ITEM_ID.test(String(item.id || '')) ? item.id : '';
+    while (!id || used.has(id)) id = crypto.randomBytes(4).toString('hex');
+    used.add(id);
+    return Object.assign({}, item, { id });
+  });
+}
+
+// Fills in the ids translations of experience items and certification cards are keyed
+// by. Runs on every write of the site, so items added by any editor get one.
+function assignItemIds(site) {
+  Object.keys(GENERATED_IDS).forEach((sectionId) => {
+    const section = site && site[sectionId];
+    const listKey = GENERATED_IDS[sectionId];
+    if (section && typeof section === 'object' && Array.isArray(section[listKey])) {
+      section[listKey] = assignIds(section[listKey]);
+    }
+  });
+  return site;
+}
+
+function translationsFor(site, code, sectionId) {
+  const byLocale = site && site.translations && site.translations[code];
+  const values = byLocale && byLocale[sectionId];
+  return values && typeof values === 'object' ? values : {};
+}
+
+// The site as visitors of `code` see it. Translations are left out of the result either
+// way: they are only needed here, and the rendered site ends up in window.__SITE__.
+function localizeSite(site, code) {
+  if (!site) return site;
+  const { translations, ...rest } = site;
+  if (!code || !hasLocale(site, code)) return rest;
+
+  const localized = JSON.parse(JSON.stringify(rest));
+  SECTIONS.forEach((sectionId) => {
+    const values = translationsFor(site, code, sectionId);
+    collect(localized, sectionId).forEach(({ path, owner, key }) => {
+      const value = values[path];
+      if (typeof value === 'string' && value.trim()) owner[key] = value;
+    });
+  });
+  return localized;
+}
+
+// Keeps only non-empty translations for strings the section still has.
+function cleanTranslations(site, sectionId, values) {
+  const out = {};
+  sectionStrings(site, sectionId).forEach(({ path }) => {
+    const value = values && typeof values[path] === 'string' ? values[path].trim() : '';
+    if (value) out[path] = value;
+  });
+  return out;
+}
+
+// The "missing translation" report: per extra language and section, how many strings
+// are translated and which paths still fall back to the default text.
+function translationReport(site) {
+  return listLocales(site)
+    .filter((l) => !l.isDefault)
+    .map((locale) => {
+      const sections = SECTIONS.map((id) => {
+        const values = translationsFor(site, locale.code, id);
+        const strings = sectionStrings(site, id);
+        const missing = strings.filter(({ path }) => !(typeof values[path] === 'string' && values[path].trim()));
+        return { id, total: strings.length, translated: strings.length - missing.length, missing: missing.map((s) => s.path) };
+      });
+      const total = sections.reduce((sum, s) => sum + s.total, 0);
+      const translated = sections.reduce((sum, s) => sum + s.translated, 0);
+      return Object.assign({}, locale, { sections, total, translated });
+    });
+}
+
+module.exports = {
+  LOCALE_CODE,
+  DEFAULT_LOCALE,
+  SECTIONS,
+  defaultLocale,
+  listLocales,
+  hasLocale,
+  sectionStrings,
+  assignItemIds,
+  translationsFor,
+  localizeSite,
+  cleanTranslations,
+  translationReport,
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+
+const { DATA_DIR, readJson, updateJson } = require('./store');
+
+const LOCKOUTS_JSON_PATH = path.join(DATA_DIR, 'lockouts.json');
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCK_MS = 15 * 60 * 1000;
+
+// Keyed by the username that was typed, whether or not it exists, so a lockout
+// doesn't reveal which accounts are real.
+function keyFor(username) {
+  return String(username || '').trim().toLowerCase().slice(0, 80);
+}
+
+async function readLockouts() {
+  const data = await readJson(LOCKOUTS_JSON_PATH, {});
+  return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
+
+function updateLockouts(fn) {
+  return updateJson(LOCKOUTS_JSON_PATH, {}, fn);
+}
+
+// Returns the time the lock ends (ms) or 0 when the username may try again.
+async function lockedUntil(username) {
+  const data = await readLockouts();
+  const entry = data[keyFor(username)];
+  if (!entry || !entry.lockedUntil) return 0;
+  const until = Date.parse(entry.lockedUntil);
+  return until > Date.now() ? until : 0;
+}
+
+function recordFailure(username) {
+  const key = keyFor(username);
+  return updateLockouts((data) => {
+    const now = Date.now();
+    const entry = data[key] || { failures: [] };
+    entry.failures = (entry.failures || []).filter((t) => now - Date.parse(t) < FAILURE_WINDOW_MS);
+    entry.failures.push(new Date(now).toISOString());
+    if (entry.failures.length >= MAX_FAILURES) {
+      entry.lockedUntil = new Date(now + LOCK_MS).toISOString();
+      entry.failures = [];
+    }
+    data[key] = entry;
+    return entry.lockedUntil && Date.parse(entry.lockedUntil) > now ? Date.parse(entry.lockedUntil) : 0;
+  });
+}
+
+function clearFailures(username) {
+  const key = keyFor(username);
+  return updateLockouts((data) => {
+    if (!data[key]) return false;
+    delete data[key];
+    return true;
+  });
+}
+
+async function listLocked() {
+  const data = await readLockouts();
+  const now = Date.now();
+  return Object.keys(data)
+    .filter((key) => data[key].lockedUntil && Date.parse(data[key].lockedUntil) > now)
+    .map((key) => ({ username: key, lockedUntil: data[key].lockedUntil }));
+}
+
+module.exports = {
+  MAX_FAILURES,
+  lockedUntil,
+  recordFailure,
+  clearFailures,
+  listLocked,
+};
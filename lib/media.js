@@ -0,0 +1,134 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const { DATA_DIR, ensureDir, readJson, updateJson } = require('./store');
+
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const MEDIA_JSON_PATH = path.join(DATA_DIR, 'media.json');
+const MEDIA_URL_PREFIX = '/media/';
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const VARIANT_WIDTHS = [320, 640, 1280];
+
+// Detected from the file contents by sharp, not from the client-supplied MIME type.
+const ALLOWED_FORMATS = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg' },
+  png: { mime: 'image/png', ext: 'png' },
+  webp: { mime: 'image/webp', ext: 'webp' },
+  gif: { mime: 'image/gif', ext: 'gif' },
+};
+
+async function listMedia() {
+  const items = await readJson(MEDIA_JSON_PATH, []);
+  return Array.isArray(items) ? items : [];
+}
+
+function mediaUrl(file) {
+  return `${MEDIA_URL_PREFIX}${file}`;
+}
+
+async function saveUpload({ buffer, originalName, mimetype, uploadedBy }) {
+  if (!buffer || !buffer.length) return { ok: false, error: 'No file uploaded.' };
+  if (buffer.length > MAX_UPLOAD_BYTES) return { ok: false, error: 'File is too large.' };
+  if (!Object.values(ALLOWED_FORMATS).some((f) => f.mime === mimetype)) {
+    return { ok: false, error: 'Only JPEG, PNG, WebP and GIF images are allowed.' };
+  }
+
+  let info;
+  try {
+    info = await sharp(buffer).metadata();
+  } catch {
+    return { ok: false, error: 'File is not a readable image.' };
+  }
+  const format = ALLOWED_FORMATS[info.format];
+  if (!format || format.mime !== mimetype) return { ok: false, error: 'File contents do not match its type.' };
+
+  // A truncated file can pass the metadata check and only fail once the pixels are
+  // decoded, so every upload is decoded in full before anything is written.
+  try {
+    await sharp(buffer).stats();
+  } catch {
+    return { ok: false, error: 'File is not a readable image.' };
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const file = `${id}.${format.ext}`;
+  await ensureDir(MEDIA_DIR);
+  await fs.writeFile(path.join(MEDIA_DIR, file), buffer);
+
+  const variants = [];
+  try {
+    for (const width of VARIANT_WIDTHS) {
+      if (!info.width || width >= info.width) continue;
+      const variantFile = `${id}-w${width}.webp`;
+      await sharp(buffer).rotate().resize({ width }).webp({ quality: 82 }).toFile(path.join(MEDIA_DIR, variantFile));
+      variants.push({ width, file: variantFile });
+    }
+  } catch {
+    const written = [file].concat(VARIANT_WIDTHS.map((width) => `${id}-w${width}.webp`));
+    await Promise.all(written.map((f) => fs.rm(path.join(MEDIA_DIR, f), { force: true })));
+    return { ok: false, error: 'File is not a readable image.' };
+  }
+
+  const item = {
+    id,
+    file,
+    originalName: String(originalName || file).slice(0, 200),
+    mime: format.mime,
+    size: buffer.length,
+    width: info.width || null,
+    height: info.height || null,
+    variants,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: uploadedBy || 'unknown',
+  };
+
+  await updateJson(MEDIA_JSON_PATH, [], (items) => {
+    items.push(item);
+  });
+  return { ok: true, item };
+}
+
+async function deleteMedia(id) {
+  const item = await updateJson(MEDIA_JSON_PATH, [], (items) => {
+    const index = items.findIndex((m) => m && m.id === id);
+    if (index === -1) return false;
+    return items.splice(index, 1)[0];
+  });
+  if (!item) return false;
+
+  const files = [item.file].concat((item.variants || []).map((v) => v.file));
+  await Promise.all(files.map((f) => fs.rm(path.join(MEDIA_DIR, path.basename(f)), { force: true })));
+  return true;
+}
+
+// Returns { src, srcset } for a stored image URL; srcset is empty for external URLs or
+// images too small to have variants. `toUrl` applies the public base path.
+function buildImageSources(items, url, toUrl) {
+  const raw = String(url || '').trim();
+  if (!raw) return null;
+  const resolve = typeof toUrl === 'function' ? toUrl : (p) => p;
+  if (!raw.startsWith(MEDIA_URL_PREFIX)) return { src: raw, srcset: '' };
+
+  const file = raw.slice(MEDIA_URL_PREFIX.length);
+  const item = (items || []).find((m) => m && m.file === file);
+  if (!item || !item.variants || !item.variants.length) return { src: resolve(raw), srcset: '' };
+
+  const srcset = item.variants
+    .map((v) => `${resolve(mediaUrl(v.file))} ${v.width}w`)
+    .concat(item.width ? [`${resolve(raw)} ${item.width}w`] : [])
+    .join(', ');
+  const mid = item.variants.find((v) => v.width === 640) || item.variants[item.variants.length - 1];
+  return { src: resolve(mediaUrl(mid.file)), srcset };
+}
+
+module.exports = {
+  MEDIA_DIR,
+  MAX_UPLOAD_BYTES,
+  listMedia,
+  mediaUrl,
+  saveUpload,
+  deleteMedia,
+  buildImageSources,
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+const settings = require('./settings');
+
+// Push notifications for new submissions. Channels live in data/settings.json (they
+// hold webhook URLs and secrets) and are delivered through the outbox, so a channel
+// that is down is retried like email.
+const CHANNEL_TYPES = {
+  webhook: 'JSON webhook (HMAC signed)',
+  slack: 'Slack incoming webhook',
+  discord: 'Discord webhook',
+  ntfy: 'ntfy topic',
+};
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+async function listChannels() {
+  const data = await settings.readSettings();
+  const list = data.notifications && Array.isArray(data.notifications.channels) ? data.notifications.channels : [];
+  return list.filter((c) => c && c.id && CHANNEL_TYPES[c.type]);
+}
+
+function updateChannels(fn) {
+  return settings.updateSettings((data) => {
+    const notifications = Object.assign({ channels: [] }, data.notifications);
+    const result = fn(notifications.channels);
+    if (result === false) return false;
+    data.notifications = notifications;
+    return result;
+  });
+}
+
+function normalizeChannel(input) {
+  const type = String(input.type || '');
+  if (!CHANNEL_TYPES[type]) return { error: 'Unknown channel type.' };
+
+  const url = String(input.url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return { error: 'Enter a valid URL.' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'The URL must start with http:// or https://.' };
+  if (type === 'ntfy' && parsed.pathname.split('/').filter(Boolean).length === 0) {
+    return { error: 'The ntfy URL must include the topic, e.g. https://ntfy.sh/my-topic.' };
+  }
+
+  return {
+    channel: {
+      type,
+      name: String(input.name || '').trim().slice(0, 60) || CHANNEL_TYPES[type],
+      url,
+      // Webhooks sign with the secret; ntfy sends it as a bearer token for protected topics.
+      secret: String(input.secret || '').trim().slice(0, 200),
+    },
+  };
+}
+
+async function addChannel(input) {
+  const result = normalizeChannel(input);
+  if (result.error) return result;
+  const channel = Object.assign({ id: crypto.randomBytes(6).toString('hex'), enabled: true, createdAt: new Date().toISOString() }, result.channel);
+  await updateChannels((channels) => {
+    channels.push(channel);
+  });
+  return { channel };
+}
+
+function setChannelEnabled(id, enabled) {
+  return updateChannels((channels) => {
+    const channel = channels.find((c) => c.id === id);
+    if (!channel) return false;
+    channel.enabled = Boolean(enabled);
+    return true;
+  });
+}
+
+function removeChannel(id) {
+  return updateChannels((channels) => {
+    const idx = channels.findIndex((c) => c.id === id);
+    if (idx === -1) return false;
+    channels.splice(idx, 1);
+    return true;
+  });
+}
+
+function excerpt(text, max) {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function summaryLines(event) {
+  const s = event.submission;
+  return {
+    title: `New message from ${s.name}: ${s.subject}`,
+    body: excerpt([s.message].concat((s.fields || []).map((f) => `${f.label}: ${f.value}`)).join('\n'), 1200),
+  };
+}
+
+// Builds the HTTP request for one channel; `event` is { event, submission, adminUrl }.
+function buildRequest(channel, event) {
+  const { title, body } = summaryLines(event);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'portfolio-notify/1' };
+
+  if (channel.type === 'slack') {
+    const text = `*${title}*\n${event.submission.name} <${event.submission.email}>\n>${body.replace(/\n/g, '\n>')}\n<${event.adminUrl}|Open in admin>`;
+    return { url: channel.url, headers, body: JSON.stringify({ text }) };
+  }
+
+  if (channel.type === 'discord') {
+    const content = excerpt(`**${title}**\n${event.submission.name} <${event.submission.email}>\n${body}\n${event.adminUrl}`, 2000);
+    return { url: channel.url, headers, body: JSON.stringify({ content, allowed_mentions: { parse: [] } }) };
+  }
+
+  if (channel.type === 'ntfy') {
+    // JSON publishing (POST to the server root with the topic in the body) avoids having
+    // to encode non-ASCII titles into HTTP headers.
+    const parsed = new URL(channel.url);
+    const parts = parsed.pathname.split('/').filter(Boolean);
+    const topic = parts.pop();
+    parsed.pathname = `/${parts.join('/')}`;
+    if (channel.secret) headers.Authorization = `Bearer ${channel.secret}`;
+    return {
+      url: parsed.toString(),
+      headers,
+      body: JSON.stringify({ topic, title: excerpt(title, 200), message: body, click: event.adminUrl, tags: ['email'] }),
+    };
+  }
+
+  // Generic webhook: the receiver recomputes HMAC-SHA256(secret, "<timestamp>.<body>")
+  // and should reject old timestamps to stop replays.
+  const payload = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  headers['X-Portfolio-Event'] = event.event;
+  headers['X-Portfolio-Timestamp'] = timestamp;
+  if (channel.secret) {
+    const signature = crypto.createHmac('sha256', channel.secret).update(`${timestamp}.${payload}`).digest('hex');
+    headers['X-Portfolio-Signature'] = `sha256=${signature}`;
+  }
+  return { url: channel.url, headers, body: payload };
+}
+
+async function deliver(channel, event) {
+  const request = buildRequest(channel, event);
+  const res = await fetch(request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: request.body,
+    redirect: 'error',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+function submissionEvent(submission, adminUrl) {
+  const { id, createdAt, name, email, subject, message, status } = submission;
+  const fields = Array.isArray(submission.fields) ? submission.fields : [];
+  const attachments = (Array.isArray(submission.attachments) ? submission.attachments : []).map((a) => ({
+    name: a.name,
+    mime: a.mime,
+    size: a.size,
+  }));
+  return {
+    event: 'submission.created',
+    submission: { id, createdAt, name, email, subject, message, fields, attachments, booking: submission.booking || null, status },
+    adminUrl,
+  };
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  listChannels,
+  addChannel,
+  setChannelEnabled,
+  removeChannel,
+  buildRequest,
+  deliver,
+  submissionEvent,
+};
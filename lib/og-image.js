@@ -0,0 +1,192 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const { DATA_DIR, ensureDir } = require('./store');
+const blog = require('./blog');
+
+// Open Graph share images (1200x630 PNG) drawn from site.json as SVG and rasterised by
+// sharp, so nothing leaves the server. Each image is cached under data/og/ by a hash of
+// what it shows: when the hero, a post or a card changes, the hash changes with it.
+const OG_DIR = path.join(DATA_DIR, 'og');
+const WIDTH = 1200;
+const HEIGHT = 630;
+const RENDER_VERSION = 1; // bump when the layout below changes
+
+// Same palette as public/style.css.
+const THEME = {
+  background: '#0a0a0f',
+  backgroundAlt: '#12121a',
+  text: '#e4e4e7',
+  muted: '#a1a1aa',
+  accent: '#00d4ff',
+  accentSecondary: '#7c3aed',
+};
+const FONT = "Poppins, 'DejaVu Sans', Arial, sans-serif";
+const CODE_FONT = "'Fira Code', 'DejaVu Sans Mono', monospace";
+
+function escapeXml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
+
+function text(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Greedy word wrap by an average glyph width; the last line gets an ellipsis if cut.
+function wrap(value, fontSize, maxWidth, maxLines) {
+  const perLine = Math.max(8, Math.floor(maxWidth / (fontSize * 0.6)));
+  const words = text(value).split(' ').filter(Boolean).map((w) => (w.length > perLine ? `${w.slice(0, perLine - 1)}…` : w));
+  const lines = [];
+  words.forEach((word) => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= perLine) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  });
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, perLine - 1).replace(/[\s.,;:]+$/, '')}…`;
+  return kept;
+}
+
+function textBlock(lines, { x, y, size, lineHeight, fill, weight, family }) {
+  return lines
+    .map((line, i) => `<text x="${x}" y="${y + i * lineHeight}" font-family="${escapeXml(family || FONT)}" font-size="${size}" font-weight="${weight || 400}" fill="${fill}">${escapeXml(line)}</text>`)
+    .join('\n  ');
+}
+
+// `spec` is { key, eyebrow, title, subtitle, footer }.
+function buildSvg(spec) {
+  const pad = 80;
+  const inner = WIDTH - pad * 2;
+  const titleSize = text(spec.title).length > 60 ? 56 : 68;
+  const titleLines = wrap(spec.title, titleSize, inner, 3);
+  const subtitleLines = wrap(spec.subtitle, 30, inner, 2);
+  const titleTop = 230;
+  const subtitleTop = titleTop + titleLines.length * titleSize * 1.15 + 30;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${THEME.background}" />
+      <stop offset="1" stop-color="${THEME.backgroundAlt}" />
+    </linearGradient>
+    <linearGradient id="accent" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0" stop-color="${THEME.accent}" />
+      <stop offset="1" stop-color="${THEME.accentSecondary}" />
+    </linearGradient>
+    <radialGradient id="glow" cx="0.85" cy="0.1" r="0.6">
+      <stop offset="0" stop-color="${THEME.accentSecondary}" stop-opacity="0.35" />
+      <stop offset="1" stop-color="${THEME.accentSecondary}" stop-opacity="0" />
+    </radialGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)" />
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#glow)" />
+  <rect x="${pad}" y="${pad + 40}" width="72" height="6" rx="3" fill="url(#accent)" />
+  ${textBlock(wrap(spec.eyebrow, 28, inner, 1), { x: pad, y: pad + 20, size: 28, lineHeight: 34, fill: THEME.accent, family: CODE_FONT })}
+  ${textBlock(titleLines, { x: pad, y: titleTop, size: titleSize, lineHeight: Math.round(titleSize * 1.15), fill: THEME.text, weight: 700 })}
+  ${textBlock(subtitleLines, { x: pad, y: subtitleTop, size: 30, lineHeight: 40, fill: THEME.muted })}
+  ${textBlock(wrap(spec.footer, 26, inner, 1), { x: pad, y: HEIGHT - pad + 10, size: 26, lineHeight: 32, fill: THEME.text, weight: 600 })}
+  <rect y="${HEIGHT - 10}" width="${WIDTH}" height="10" fill="url(#accent)" />
+</svg>
+`;
+}
+
+function specHash(spec) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([RENDER_VERSION, spec.eyebrow, spec.title, spec.subtitle, spec.footer]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function ownerLine(site) {
+  const hero = site.hero || {};
+  const name = `${text(hero.firstName)} ${text(hero.lastName)}`.trim();
+  const role = Array.isArray(hero.titles) ? text(hero.titles[0]) : '';
+  return [name, role].filter(Boolean).join(' · ');
+}
+
+function siteSpec(site) {
+  const hero = site.hero || {};
+  return {
+    key: 'site',
+    eyebrow: text(hero.greeting) || 'Portfolio',
+    title: `${text(hero.firstName)} ${text(hero.lastName)}`.trim() || 'Portfolio',
+    subtitle: Array.isArray(hero.titles) ? text(hero.titles[0]) : '',
+    footer: text(site.meta && site.meta.description) || text(hero.description),
+  };
+}
+
+function postSpec(site, post) {
+  return {
+    key: `blog-${post.slug}`,
+    eyebrow: ['Blog', text(post.category)].filter(Boolean).join(' · '),
+    title: text(post.title),
+    subtitle: text(post.excerpt),
+    footer: [ownerLine(site), text(post.date), `${blog.readingMinutes(post.body)} min read`].filter(Boolean).join(' · '),
+  };
+}
+
+// `kind` is 'projects' or 'casestudies'.
+function cardSpec(site, kind, card) {
+  const project = kind === 'projects';
+  const tech = Array.isArray(card.tech) ? card.tech.map(text).filter(Boolean).slice(0, 6).join(' · ') : '';
+  return {
+    key: `${kind}-${card.slug}`,
+    eyebrow: project ? 'Project' : ['Case Study', text(card.tag)].filter(Boolean).join(' · '),
+    title: text(project ? card.frontTitle : card.title),
+    subtitle: text(card.seoDescription) || text(project ? card.frontDesc : card.challenge),
+    footer: [ownerLine(site), tech].filter(Boolean).join('  |  '),
+  };
+}
+
+// Pages in another language get their own cache key, so the languages don't evict each other.
+function forLocale(spec, locale) {
+  return locale ? Object.assign({}, spec, { key: `${locale}-${spec.key}` }) : spec;
+}
+
+const rendering = new Map();
+
+async function renderImage(spec) {
+  const hash = specHash(spec);
+  const file = path.join(OG_DIR, `${spec.key}.${hash}.png`);
+  try {
+    await fs.access(file);
+    return file;
+  } catch {
+    // not cached yet
+  }
+  if (rendering.has(file)) return rendering.get(file);
+
+  const job = (async () => {
+    await ensureDir(OG_DIR);
+    const tmp = `${file}.tmp`;
+    await sharp(Buffer.from(buildSvg(spec))).png().toFile(tmp);
+    await fs.rename(tmp, file);
+    // Older renders of the same page are stale now.
+    const stale = (await fs.readdir(OG_DIR)).filter((f) => f.startsWith(`${spec.key}.`) && f.endsWith('.png') && path.join(OG_DIR, f) !== file);
+    await Promise.all(stale.map((f) => fs.rm(path.join(OG_DIR, f), { force: true })));
+    return file;
+  })().finally(() => rendering.delete(file));
+  rendering.set(file, job);
+  return job;
+}
+
+module.exports = {
+  OG_DIR,
+  WIDTH,
+  HEIGHT,
+  siteSpec,
+  postSpec,
+  cardSpec,
+  forLocale,
+  specHash,
+  renderImage,
+};
@@ -0,0 +1,184 @@
+const path = require('path');
+const crypto = require('crypto');
+
+const { DATA_DIR, readJson, updateJson } = require('./store');
+
+const OUTBOX_JSON_PATH = path.join(DATA_DIR, 'outbox.json');
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const KEEP_SENT_MS = 7 * 24 * 60 * 60 * 1000;
+const POLL_MS = 30 * 1000;
+
+async function listJobs() {
+  const jobs = await readJson(OUTBOX_JSON_PATH, []);
+  return Array.isArray(jobs) ? jobs.filter((j) => j && j.id) : [];
+}
+
+function updateJobs(fn) {
+  return updateJson(OUTBOX_JSON_PATH, [], (stored) => {
+    const jobs = stored.filter((j) => j && j.id);
+    stored.splice(0, stored.length, ...jobs);
+    return fn(stored);
+  });
+}
+
+// 1 min, 2 min, 4 min ... capped at 6 hours.
+function backoffMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+}
+
+function enqueue({ kind, submissionId, message }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    kind: kind || 'mail',
+    submissionId: submissionId || '',
+    message,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastError: '',
+  };
+  return updateJobs((jobs) => {
+    jobs.push(job);
+  }).then(() => {
+    kick();
+    return job;
+  });
+}
+
+// Drops every job of deleted submissions. Pending ones would otherwise keep retrying
+// against attachments that are gone; a send already in flight finds its job missing
+// and records nothing.
+function dropForSubmissions(submissionIds) {
+  const ids = new Set(submissionIds);
+  return updateJobs((jobs) => {
+    const kept = jobs.filter((j) => !ids.has(j.submissionId));
+    if (kept.length === jobs.length) return false;
+    const dropped = jobs.length - kept.length;
+    jobs.splice(0, jobs.length, ...kept);
+    return dropped;
+  }).then((dropped) => dropped || 0);
+}
+
+function jobsForSubmission(jobs, submissionId) {
+  return jobs.filter((j) => j.submissionId === submissionId);
+}
+
+// Puts a job back at the front of the queue with a fresh set of attempts.
+function retryJob(id) {
+  return updateJobs((jobs) => {
+    const job = jobs.find((j) => j.id === id);
+    if (!job || job.status === 'sent') return false;
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date().toISOString();
+    return true;
+  }).then((ok) => {
+    if (ok) kick();
+    return ok;
+  });
+}
+
+function summarize(jobs) {
+  const pending = jobs.filter((j) => j.status === 'pending');
+  const next = pending.map((j) => j.nextAttemptAt).sort()[0] || '';
+  return {
+    pending: pending.length,
+    failed: jobs.filter((j) => j.status === 'failed').length,
+    sent: jobs.filter((j) => j.status === 'sent').length,
+    nextAttemptAt: next,
+  };
+}
+
+let worker = null;
+let running = false;
+let again = false;
+
+// Sends every due job once. Jobs are sent outside the file queue so a slow SMTP
+// server doesn't hold up submissions being stored in the meantime.
+async function processDue() {
+  if (!worker) return;
+  if (running) {
+    again = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      again = false;
+      const now = Date.now();
+      const due = (await listJobs()).filter((j) => j.status === 'pending' && Date.parse(j.nextAttemptAt) <= now);
+
+      for (const job of due) {
+        let error = '';
+        try {
+          await worker.send(job);
+        } catch (err) {
+          error = String((err && err.message) || err || 'Send failed').slice(0, 500);
+        }
+
+        const updated = await updateJobs((jobs) => {
+          const current = jobs.find((j) => j.id === job.id);
+          if (!current) return false;
+          const at = new Date();
+          current.attempts = (Number(current.attempts) || 0) + 1;
+          current.lastAttemptAt = at.toISOString();
+          if (!error) {
+            current.status = 'sent';
+            current.sentAt = current.lastAttemptAt;
+            current.lastError = '';
+          } else {
+            current.lastError = error;
+            current.status = current.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+            current.nextAttemptAt = new Date(at.getTime() + backoffMs(current.attempts)).toISOString();
+          }
+          return Object.assign({}, current);
+        });
+        if (updated && worker.onResult) await worker.onResult(updated);
+      }
+
+      await updateJobs((jobs) => {
+        const cutoff = Date.now() - KEEP_SENT_MS;
+        const kept = jobs.filter((j) => j.status !== 'sent' || Date.parse(j.sentAt) > cutoff);
+        if (kept.length === jobs.length) return false;
+        jobs.splice(0, jobs.length, ...kept);
+        return true;
+      });
+    } while (again);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Outbox error:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function kick() {
+  if (worker) setImmediate(processDue);
+}
+
+// `send(job)` delivers one job (by its `kind`) and throws on failure; `onResult(job)`
+// runs after every attempt so callers can mirror the outcome elsewhere.
+function startOutbox({ send, onResult, pollMs }) {
+  worker = { send, onResult };
+  const timer = setInterval(processDue, pollMs || POLL_MS);
+  timer.unref();
+  kick();
+  return timer;
+}
+
+module.exports = {
+  OUTBOX_JSON_PATH,
+  MAX_ATTEMPTS,
+  listJobs,
+  jobsForSubmission,
+  enqueue,
+  retryJob,
+  dropForSubmissions,
+  summarize,
+  backoffMs,
+  startOutbox,
+};
@@ -0,0 +1,146 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+const { DATA_DIR, ensureDir, readJson, updateJson } = require('./store');
+
+const RESUMES_DIR = path.join(DATA_DIR, 'resumes');
+const RESUMES_JSON_PATH = path.join(DATA_DIR, 'resumes.json');
+const MAX_RESUME_BYTES = 10 * 1024 * 1024;
+const DEFAULT_DOWNLOAD_NAME = 'Resume.pdf';
+
+function emptyIndex() {
+  return { activeId: '', downloadName: DEFAULT_DOWNLOAD_NAME, versions: [] };
+}
+
+async function readIndex() {
+  const index = await readJson(RESUMES_JSON_PATH, null);
+  if (!index || typeof index !== 'object') return emptyIndex();
+  return Object.assign(emptyIndex(), index, { versions: Array.isArray(index.versions) ? index.versions : [] });
+}
+
+// Uploads, admin changes and download counts all update the index.
+function updateIndex(fn) {
+  return updateJson(RESUMES_JSON_PATH, {}, (stored) => {
+    const index = Object.assign(stored, Object.assign(emptyIndex(), stored), { versions: Array.isArray(stored.versions) ? stored.versions : [] });
+    return fn(index);
+  });
+}
+
+function resumePath(version) {
+  return path.join(RESUMES_DIR, path.basename(version.file));
+}
+
+// Keeps the name safe for a Content-Disposition header and always ending in .pdf.
+function normalizeDownloadName(name) {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 120);
+  if (!cleaned) return DEFAULT_DOWNLOAD_NAME;
+  return /\.pdf$/i.test(cleaned) ? cleaned : `${cleaned}.pdf`;
+}
+
+async function getResumes() {
+  const index = await readIndex();
+  const totalDownloads = index.versions.reduce((sum, v) => sum + (Number(v.downloads) || 0), 0);
+  return {
+    activeId: index.activeId,
+    downloadName: index.downloadName,
+    versions: index.versions.slice().reverse(),
+    totalDownloads,
+  };
+}
+
+async function getActiveResume() {
+  const index = await readIndex();
+  const version = index.versions.find((v) => v && v.id === index.activeId);
+  if (!version) return null;
+  return { version, filePath: resumePath(version), downloadName: index.downloadName };
+}
+
+async function saveResume({ buffer, originalName, note, uploadedBy }) {
+  if (!buffer || !buffer.length) return { ok: false, error: 'No file uploaded.' };
+  if (buffer.length > MAX_RESUME_BYTES) return { ok: false, error: 'File is too large.' };
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') return { ok: false, error: 'Only PDF files are allowed.' };
+
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = `${id}.pdf`;
+  await ensureDir(RESUMES_DIR);
+  await fs.writeFile(path.join(RESUMES_DIR, file), buffer);
+
+  const version = {
+    id,
+    file,
+    originalName: String(originalName || file).slice(0, 200),
+    note: String(note || '').trim().slice(0, 200),
+    size: buffer.length,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: uploadedBy || 'unknown',
+    downloads: 0,
+  };
+
+  await updateIndex((index) => {
+    index.versions.push(version);
+    // The first upload replaces the bundled PDF straight away; later ones wait to be activated.
+    if (!index.activeId) index.activeId = id;
+  });
+  return { ok: true, version };
+}
+
+function activateResume(id) {
+  return updateIndex((index) => {
+    if (!index.versions.some((v) => v && v.id === id)) return false;
+    index.activeId = id;
+    return true;
+  });
+}
+
+async function deleteResume(id) {
+  let removed = null;
+  let error = '';
+  await updateIndex((index) => {
+    const version = index.versions.find((v) => v && v.id === id);
+    if (!version) error = 'Resume not found.';
+    else if (index.activeId === id) error = 'The active resume cannot be deleted.';
+    if (error) return false;
+    index.versions = index.versions.filter((v) => v && v.id !== id);
+    removed = version;
+    return true;
+  });
+  if (error) return { ok: false, error };
+
+  await fs.rm(resumePath(removed), { force: true });
+  return { ok: true };
+}
+
+async function setDownloadName(name) {
+  const downloadName = normalizeDownloadName(name);
+  await updateIndex((index) => {
+    index.downloadName = downloadName;
+  });
+  return downloadName;
+}
+
+function recordDownload(id) {
+  return updateIndex((index) => {
+    const version = index.versions.find((v) => v && v.id === id);
+    if (!version) return false;
+    version.downloads = (Number(version.downloads) || 0) + 1;
+    version.lastDownloadAt = new Date().toISOString();
+    return true;
+  });
+}
+
+module.exports = {
+  RESUMES_DIR,
+  MAX_RESUME_BYTES,
+  getResumes,
+  getActiveResume,
+  saveResume,
+  activateResume,
+  deleteResume,
+  setDownloadName,
+  recordDownload,
+};
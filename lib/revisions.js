@@ -0,0 +1,124 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { diffLines } = require('diff');
+
+const { DATA_DIR, readJson, writeJsonAtomic, updateJson } = require('./store');
+
+const REVISIONS_DIR = path.join(DATA_DIR, 'revisions');
+const REVISIONS_INDEX_PATH = path.join(REVISIONS_DIR, 'index.json');
+const MAX_REVISIONS = 100;
+
+function revisionPath(id) {
+  return path.join(REVISIONS_DIR, `${id}.json`);
+}
+
+function isRevisionId(id) {
+  return /^[0-9]{13}-[a-f0-9]{8}$/.test(String(id || ''));
+}
+
+async function readIndex() {
+  const index = await readJson(REVISIONS_INDEX_PATH, []);
+  return Array.isArray(index) ? index : [];
+}
+
+async function listRevisions() {
+  const index = await readIndex();
+  return index.slice().reverse();
+}
+
+async function getRevision(id) {
+  if (!isRevisionId(id)) return null;
+  const index = await readIndex();
+  const entry = index.find((r) => r && r.id === id);
+  if (!entry) return null;
+  const site = await readJson(revisionPath(id), null);
+  if (!site) return null;
+  return Object.assign({}, entry, { site });
+}
+
+async function recordRevision({ site, author, section, restoredFrom }) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const entry = {
+    id,
+    createdAt: new Date().toISOString(),
+    author: author || 'unknown',
+    section: section || 'site',
+  };
+  if (restoredFrom) entry.restoredFrom = restoredFrom;
+
+  await writeJsonAtomic(revisionPath(id), site);
+
+  const dropped = await updateJson(REVISIONS_INDEX_PATH, [], (index) => {
+    index.push(entry);
+    return index.length > MAX_REVISIONS ? index.splice(0, index.length - MAX_REVISIONS) : [];
+  });
+
+  await Promise.all(dropped.map((r) => fs.rm(revisionPath(r.id), { force: true })));
+  return entry;
+}
+
+// The first save on an install has nothing to roll back to, so keep what was on disk before it.
+async function ensureBaseline(currentSite) {
+  const index = await readIndex();
+  if (index.length > 0 || !currentSite) return null;
+  return recordRevision({ site: currentSite, author: 'system', section: 'baseline' });
+}
+
+function changedSections(prev, next) {
+  const a = prev && typeof prev === 'object' ? prev : {};
+  const b = next && typeof next === 'object' ? next : {};
+  const keys = Array.from(new Set(Object.keys(a).concat(Object.keys(b))));
+  return keys.filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+function buildDiff(fromValue, toValue, context) {
+  const ctx = typeof context === 'number' ? context : 3;
+  const fromText = JSON.stringify(fromValue, null, 2) + '\n';
+  const toText = JSON.stringify(toValue, null, 2) + '\n';
+
+  const lines = [];
+  diffLines(fromText, toText).forEach((part) => {
+    const kind = part.added ? 'add' : part.removed ? 'del' : 'same';
+    part.value.replace(/\n$/, '').split('\n').forEach((text) => lines.push({ kind, text }));
+  });
+
+  // Collapse long unchanged runs so only the lines around each change are shown.
+  const rows = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].kind !== 'same') {
+      rows.push(lines[i]);
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < lines.length && lines[j].kind === 'same') j += 1;
+    const run = lines.slice(i, j);
+    const head = i === 0 ? 0 : ctx;
+    const tail = j === lines.length ? 0 : ctx;
+    if (run.length > head + tail + 1) {
+      run.slice(0, head).forEach((l) => rows.push({ kind: 'ctx', text: l.text }));
+      rows.push({ kind: 'skip', text: `… ${run.length - head - tail} unchanged lines …` });
+      run.slice(run.length - tail).forEach((l) => rows.push({ kind: 'ctx', text: l.text }));
+    } else {
+      run.forEach((l) => rows.push({ kind: 'ctx', text: l.text }));
+    }
+    i = j;
+  }
+
+  const added = lines.filter((l) => l.kind === 'add').length;
+  const removed = lines.filter((l) => l.kind === 'del').length;
+  return { rows, added, removed };
+}
+
+module.exports = {
+  REVISIONS_DIR,
+  MAX_REVISIONS,
+  listRevisions,
+  getRevision,
+  recordRevision,
+  ensureBaseline,
+  changedSections,
+  buildDiff,
+};
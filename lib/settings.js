@@ -0,0 +1,22 @@
+const path = require('path');
+
+const { DATA_DIR, readJson, updateJson } = require('./store');
+
+// Server-side settings that must never reach the browser (everything in site.json is
+// rendered into the public page), e.g. the spam blocklist.
+const SETTINGS_JSON_PATH = path.join(DATA_DIR, 'settings.json');
+
+async function readSettings() {
+  const data = await readJson(SETTINGS_JSON_PATH, {});
+  return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
+
+function updateSettings(fn) {
+  return updateJson(SETTINGS_JSON_PATH, {}, fn);
+}
+
+module.exports = {
+  SETTINGS_JSON_PATH,
+  readSettings,
+  updateSettings,
+};
@@ -0,0 +1,400 @@
+const Ajv = require('ajv');
+
+// JSON Schema for data/site.json. Every write path (section forms, the JSON editors,
+// publish/restore) and server startup validate against it. Unknown keys are allowed so
+// older files keep loading; what the templates depend on is typed and length-capped.
+
+function str(maxLength) {
+  return { type: 'string', maxLength };
+}
+
+function reqStr(maxLength) {
+  return { type: 'string', minLength: 1, maxLength };
+}
+
+function arr(items, maxItems) {
+  return { type: 'array', items, maxItems };
+}
+
+function obj(properties, required) {
+  return { type: 'object', properties, required: required || [] };
+}
+
+function section(properties, required) {
+  return obj(Object.assign({ enabled: { type: 'boolean' } }, properties), required);
+}
+
+const iconLink = obj({ href: reqStr(240), label: reqStr(60), icon: str(80) }, ['href', 'label']);
+const slug = { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', maxLength: 80 };
+const itemId = { type: 'string', pattern: '^[a-z0-9]{1,24}$' };
+const localeCode = { type: 'string', pattern: '^[a-z]{2}(?:-[A-Z]{2})?$' };
+
+const SITE_SCHEMA = obj(
+  {
+    meta: obj(
+      {
+        title: reqStr(120),
+        description: str(240),
+        ogImage: str(300),
+        sitemapImages: { type: 'boolean' },
+      },
+      ['title']
+    ),
+
+    nav: obj(
+      {
+        logoText: reqStr(80),
+        links: arr(obj({ id: { type: 'string', pattern: '^[a-zA-Z0-9][a-zA-Z0-9-]{0,40}$' }, label: reqStr(40) }, ['id', 'label']), 20),
+      },
+      ['logoText', 'links']
+    ),
+
+    hero: section(
+      {
+        greeting: str(80),
+        firstName: reqStr(40),
+        lastName: reqStr(40),
+        description: str(320),
+        scrollText: str(40),
+        image: str(300),
+        titles: arr(reqStr(80), 12),
+        ctas: arr(obj({ label: str(40), href: str(240), style: str(20), icon: str(80) }), 4),
+        socials: arr(iconLink, 12),
+      },
+      ['firstName', 'lastName', 'titles', 'ctas', 'socials']
+    ),
+
+    about: section(
+      {
+        number: str(10),
+        title: reqStr(40),
+        paragraphsHtml: arr(reqStr(2000), 10),
+        info: arr(obj({ label: reqStr(40), value: reqStr(120) }, ['label', 'value']), 20),
+        resume: obj({ label: str(60), href: str(240), icon: str(80) }),
+        stats: arr(obj({ icon: str(80), count: { type: 'number' }, suffix: str(10), label: reqStr(60) }, ['count', 'label']), 12),
+      },
+      ['title', 'paragraphsHtml', 'info', 'resume', 'stats']
+    ),
+
+    techstack: section(
+      {
+        number: str(10),
+        title: reqStr(40),
+        sphereTags: arr(reqStr(40), 80),
+        categories: arr(
+          obj(
+            {
+              icon: str(80),
+              title: reqStr(60),
+              items: arr(obj({ icon: str(80), label: str(60) }), 60),
+            },
+            ['title', 'items']
+          ),
+          12
+        ),
+      },
+      ['title', 'sphereTags', 'categories']
+    ),
+
+    projects: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        filters: arr(obj({ label: reqStr(40), value: reqStr(40) }, ['label', 'value']), 30),
+        cards: arr(
+          obj(
+            {
+              category: str(40),
+              frontIcon: str(80),
+              image: str(300),
+              frontTitle: reqStr(120),
+              frontDesc: str(600),
+              backTitle: str(120),
+              backDesc: str(1200),
+              tech: arr(reqStr(40), 20),
+              link: obj({ type: str(20), href: str(240), icon: str(80), label: str(60) }),
+              slug,
+              body: str(50000),
+              seoTitle: str(120),
+              seoDescription: str(240),
+            },
+            ['frontTitle', 'tech']
+          ),
+          40
+        ),
+      },
+      ['title', 'filters', 'cards']
+    ),
+
+    casestudies: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        subtitle: str(120),
+        cards: arr(
+          obj(
+            {
+              icon: str(80),
+              image: str(300),
+              tag: str(40),
+              title: reqStr(120),
+              challenge: str(1200),
+              architecture: arr(reqStr(60), 30),
+              impact: arr(reqStr(300), 20),
+              tech: arr(reqStr(40), 30),
+              slug,
+              body: str(50000),
+              seoTitle: str(120),
+              seoDescription: str(240),
+            },
+            ['title', 'architecture', 'impact', 'tech']
+          ),
+          20
+        ),
+      },
+      ['title', 'cards']
+    ),
+
+    experience: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        items: arr(
+          obj(
+            {
+              id: itemId,
+              role: reqStr(120),
+              company: reqStr(120),
+              date: str(60),
+              location: str(120),
+              details: arr(reqStr(600), 40),
+              tags: arr(reqStr(40), 30),
+            },
+            ['role', 'company', 'details', 'tags']
+          ),
+          30
+        ),
+      },
+      ['title', 'items']
+    ),
+
+    certifications: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        cards: arr(
+          obj(
+            {
+              id: itemId,
+              ribbon: obj({ text: str(30), variant: str(30) }),
+              icon: str(80),
+              image: str(300),
+              title: reqStr(120),
+              desc: str(600),
+              meta: arr(obj({ icon: str(80), text: str(120) }), 4),
+            },
+            ['title', 'meta']
+          ),
+          30
+        ),
+      },
+      ['title', 'cards']
+    ),
+
+    blog: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        subtitle: str(160),
+        posts: arr(
+          obj(
+            {
+              icon: str(80),
+              category: str(40),
+              date: str(40),
+              title: reqStr(160),
+              slug,
+              excerpt: str(600),
+              body: str(50000),
+              href: str(240),
+            },
+            ['title']
+          ),
+          30
+        ),
+      },
+      ['title', 'posts']
+    ),
+
+    github: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        username: str(40),
+        tagline: str(120),
+        profileUrl: str(240),
+        stats: arr(obj({ icon: str(80), value: str(20), label: reqStr(40) }, ['label']), 10),
+        pinned: arr(
+          obj(
+            {
+              href: str(240),
+              icon: str(80),
+              name: reqStr(100),
+              desc: str(300),
+              lang: obj({ name: str(40), class: str(40) }, ['name', 'class']),
+              stars: str(20),
+            },
+            ['name', 'lang']
+          ),
+          12
+        ),
+      },
+      ['title', 'stats', 'pinned']
+    ),
+
+    contact: section(
+      {
+        number: str(10),
+        title: reqStr(60),
+        description: str(500),
+        details: arr(obj({ icon: str(80), label: reqStr(40), value: reqStr(160), href: str(240) }, ['label', 'value']), 12),
+        socials: arr(iconLink, 12),
+        form: obj(
+          {
+            nameLabel: str(60),
+            emailLabel: str(60),
+            subjectLabel: str(60),
+            messageLabel: str(60),
+            buttonLabel: str(60),
+            fields: arr(
+              obj(
+                {
+                  id: { type: 'string', pattern: '^[a-z][a-zA-Z0-9_]{0,30}$' },
+                  label: reqStr(80),
+                  type: { enum: ['text', 'email', 'tel', 'url', 'number', 'textarea', 'select', 'checkbox'] },
+                  required: { type: 'boolean' },
+                  maxLength: { type: 'integer', minimum: 1, maximum: 4000 },
+                  placeholder: str(120),
+                  options: arr(reqStr(80), 30),
+                },
+                ['id', 'label', 'type']
+              ),
+              12
+            ),
+            attachments: { type: 'boolean' },
+          }
+        ),
+        autoReply: obj({ enabled: { type: 'boolean' }, subject: str(200), body: str(4000) }),
+        booking: obj({
+          enabled: { type: 'boolean' },
+          title: str(80),
+          timezone: str(64),
+          slotMinutes: { type: 'integer', minimum: 10, maximum: 240 },
+          bufferMinutes: { type: 'integer', minimum: 0, maximum: 120 },
+          noticeHours: { type: 'integer', minimum: 0, maximum: 336 },
+          horizonDays: { type: 'integer', minimum: 1, maximum: 90 },
+          weekly: arr(
+            obj(
+              {
+                day: { type: 'integer', minimum: 0, maximum: 6 },
+                start: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+                end: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+              },
+              ['day', 'start', 'end']
+            ),
+            28
+          ),
+          blackouts: arr({ type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }, 200),
+        }),
+      },
+      ['title', 'details', 'socials', 'form']
+    ),
+
+    footer: section(
+      {
+        logoText: reqStr(80),
+        line1: str(120),
+        links: arr(iconLink, 12),
+      },
+      ['logoText', 'links']
+    ),
+
+    i18n: obj(
+      {
+        defaultLocale: localeCode,
+        defaultLabel: str(40),
+        locales: arr(obj({ code: localeCode, label: reqStr(40) }, ['code', 'label']), 20),
+      }
+    ),
+
+    // { <locale>: { <section>: { <path>: text } } }; see lib/i18n.js.
+    translations: {
+      type: 'object',
+      propertyNames: localeCode,
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: { type: 'object', additionalProperties: str(50000) },
+      },
+    },
+  },
+  ['meta', 'nav', 'hero', 'about', 'techstack', 'projects', 'casestudies', 'experience', 'certifications', 'blog', 'github', 'contact', 'footer']
+);
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(SITE_SCHEMA);
+
+function formatPath(instancePath) {
+  return String(instancePath || '')
+    .split('/')
+    .filter(Boolean)
+    .map((seg, idx) => (/^\d+$/.test(seg) ? `[${seg}]` : `${idx === 0 ? '' : '.'}${seg}`))
+    .join('');
+}
+
+function formatError(err) {
+  const p = err.params || {};
+  let field = formatPath(err.instancePath);
+  let message;
+  switch (err.keyword) {
+    case 'required':
+      field = field ? `${field}.${p.missingProperty}` : p.missingProperty;
+      message = 'is required';
+      break;
+    case 'minLength':
+      message = p.limit === 1 ? 'is required' : `must be at least ${p.limit} characters`;
+      break;
+    case 'maxLength':
+      message = `must be at most ${p.limit} characters`;
+      break;
+    case 'maxItems':
+      message = `must have at most ${p.limit} items`;
+      break;
+    case 'type':
+      message = `must be ${/^[aeiou]/.test(p.type) ? 'an' : 'a'} ${p.type}`;
+      break;
+    case 'enum':
+      message = `must be one of: ${(p.allowedValues || []).join(', ')}`;
+      break;
+    case 'pattern':
+      message = 'has an invalid format';
+      break;
+    default:
+      message = err.message || 'is invalid';
+  }
+  return { field: field || '(root)', message };
+}
+
+function validateSite(site) {
+  if (validate(site)) return { ok: true, errors: [] };
+  return { ok: false, errors: (validate.errors || []).map(formatError) };
+}
+
+function formatErrors(errors) {
+  return (errors || []).map((e) => `${e.field} ${e.message}`);
+}
+
+module.exports = {
+  SITE_SCHEMA,
+  validateSite,
+  formatErrors,
+};
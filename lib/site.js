@@ -0,0 +1,65 @@
+const path = require('path');
+
+const { DATA_DIR, readJson, writeJsonAtomic, removeFile } = require('./store');
+const i18n = require('./i18n');
+const revisions = require('./revisions');
+const { validateSite } = require('./site-schema');
+
+const SITE_JSON_PATH = path.join(DATA_DIR, 'site.json');
+const SITE_DRAFT_JSON_PATH = path.join(DATA_DIR, 'site.draft.json');
+
+function readLiveSite() {
+  return readJson(SITE_JSON_PATH, null);
+}
+
+function readDraft() {
+  return readJson(SITE_DRAFT_JSON_PATH, null);
+}
+
+// Section edits land in a draft copy; the live site.json only changes on publish or restore.
+async function readDraftSite() {
+  const draft = await readDraft();
+  if (draft && typeof draft === 'object') return draft;
+  return readLiveSite();
+}
+
+async function saveDraft(site) {
+  i18n.assignItemIds(site);
+  const validation = validateSite(site);
+  if (validation.ok) await writeJsonAtomic(SITE_DRAFT_JSON_PATH, site);
+  return validation;
+}
+
+function discardDraft() {
+  return removeFile(SITE_DRAFT_JSON_PATH);
+}
+
+// Validates, writes the live file and records a revision. Used by the admin (publish,
+// restore) and the CLI (import), so every write to site.json has the same history.
+async function publishSite({ site, author, section, restoredFrom }) {
+  i18n.assignItemIds(site);
+  const validation = validateSite(site);
+  if (!validation.ok) return validation;
+
+  const previous = await readLiveSite();
+  if (previous) await revisions.ensureBaseline(previous);
+  await writeJsonAtomic(SITE_JSON_PATH, site);
+  await revisions.recordRevision({
+    site,
+    author,
+    section: section || revisions.changedSections(previous, site).join(', ') || 'site',
+    restoredFrom,
+  });
+  return validation;
+}
+
+module.exports = {
+  SITE_JSON_PATH,
+  SITE_DRAFT_JSON_PATH,
+  readLiveSite,
+  readDraft,
+  readDraftSite,
+  saveDraft,
+  discardDraft,
+  publishSite,
+};
@@ -0,0 +1,200 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+const blog = require('./blog');
+const detailPages = require('./detail-pages');
+const i18n = require('./i18n');
+const revisions = require('./revisions');
+const { SITE_JSON_PATH } = require('./site');
+
+// Sitemap for every public page of the live site. A URL's lastmod is when its content
+// last changed: the revision that introduced what is live now, or the mtime of site.json
+// when the file was edited outside the admin.
+const MAX_URLS = 50000; // per file, from the sitemaps.org protocol
+
+function escapeXml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
+
+function hash(value, replacer) {
+  return crypto.createHash('sha1').update(JSON.stringify(value === undefined ? null : value, replacer)).digest('hex');
+}
+
+function imageList(values) {
+  return Array.from(new Set(values.map((v) => String(v || '').trim()).filter(Boolean)));
+}
+
+function cardImages(section) {
+  return section && section.enabled !== false && Array.isArray(section.cards) ? section.cards.map((c) => c && c.image) : [];
+}
+
+// [{ path, hash, images, changefreq, priority }] for the pages `site` produces in one
+// language. The homepage shows everything but the long-form bodies, so those don't count
+// as changes to it.
+function languagePages(site) {
+  const home = {
+    path: '/',
+    hash: hash(site, (key, value) => (key === 'body' ? undefined : value)),
+    images: imageList([
+      site.meta && site.meta.ogImage,
+      site.hero && site.hero.enabled !== false && site.hero.image,
+      ...cardImages(site.projects),
+      ...cardImages(site.casestudies),
+      ...cardImages(site.certifications),
+    ]),
+    changefreq: 'weekly',
+    priority: '1.0',
+  };
+  const posts = site.blog && site.blog.enabled !== false
+    ? blog.listPosts(site).filter((p) => blog.hasPage(p)).map((post) => ({
+      path: `/blog/${post.slug}`,
+      hash: hash(post),
+      images: [],
+      changefreq: 'monthly',
+      priority: '0.7',
+    }))
+    : [];
+  const cards = detailPages.listPages(site).map(({ card, path }) => ({
+    path,
+    hash: hash(card),
+    images: imageList([card.image]),
+    changefreq: 'monthly',
+    priority: '0.8',
+  }));
+  return [home, ...posts, ...cards];
+}
+
+// Every page in every language. Other languages live under /<locale>/ and their hashes
+// come from the translated content, so a new translation only touches that language's
+// lastmod. Each page lists its translations as `alternates` ({ hreflang, path }).
+function listPages(site) {
+  const locales = i18n.listLocales(site);
+  if (!locales.length) return languagePages(i18n.localizeSite(site));
+
+  const byLocale = locales.map((l) => {
+    const prefix = l.isDefault ? '' : `/${l.code}`;
+    return languagePages(i18n.localizeSite(site, l.isDefault ? '' : l.code))
+      .map((p) => Object.assign(p, { path: `${prefix}${p.path}`, page: p.path, hreflang: l.code }));
+  });
+  const all = byLocale.flat();
+  return all.map(({ page, hreflang, ...p }) => Object.assign(p, {
+    alternates: all.filter((other) => other.page === page).map((other) => ({ hreflang: other.hreflang, path: other.path })),
+  }));
+}
+
+let datesCache = { key: '', dates: new Map() };
+
+// Walks the revisions newest first; a page keeps the date of the oldest revision in the
+// unbroken run that still has its current content.
+async function contentDates(pages) {
+  const stat = await fs.stat(SITE_JSON_PATH).catch(() => null);
+  const fallback = (stat ? stat.mtime : new Date()).toISOString();
+  const history = await revisions.listRevisions();
+  const key = `${fallback}:${history.length ? history[0].id : ''}:${pages.map((p) => p.hash).join(',')}`;
+  if (datesCache.key === key) return datesCache.dates;
+
+  const dates = new Map(pages.map((p) => [p.path, fallback]));
+  const pending = new Map(pages.map((p) => [p.path, p.hash]));
+  for (const entry of history) {
+    if (!pending.size) break;
+    const revision = await revisions.getRevision(entry.id);
+    if (!revision || !revision.site) break;
+    const hashes = new Map(listPages(revision.site).map((p) => [p.path, p.hash]));
+    for (const [pagePath, pageHash] of pending) {
+      if (hashes.get(pagePath) === pageHash) dates.set(pagePath, entry.createdAt);
+      else pending.delete(pagePath);
+    }
+  }
+  datesCache = { key, dates };
+  return dates;
+}
+
+// Returns [{ path, lastmod, images, changefreq, priority }] for the live site. Images are
+// only listed when `images` is set.
+async function sitemapEntries(site, { images }) {
+  const pages = listPages(site);
+  const dates = await contentDates(pages);
+  return pages.map((p) => ({
+    path: p.path,
+    lastmod: dates.get(p.path),
+    images: images ? p.images : [],
+    alternates: p.alternates || [],
+    changefreq: p.changefreq,
+    priority: p.priority,
+  }));
+}
+
+function splitEntries(entries, maxUrls) {
+  const size = maxUrls || MAX_URLS;
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += size) chunks.push(entries.slice(i, i + size));
+  return chunks.length ? chunks : [[]];
+}
+
+// The index entries for the chunks from splitEntries: /sitemap-<n>.xml, dated by the
+// newest URL in it.
+function indexFiles(chunks) {
+  return chunks.map((chunk, i) => ({
+    path: `/sitemap-${i + 1}.xml`,
+    lastmod: chunk.map((e) => e.lastmod).filter(Boolean).sort().pop(),
+  }));
+}
+
+// `absolute` turns a site path (or an image URL) into a full URL.
+function urlsetXml(entries, absolute) {
+  const hasImages = entries.some((e) => e.images && e.images.length);
+  const hasAlternates = entries.some((e) => e.alternates && e.alternates.length);
+  const urls = entries.map((e) => [
+    '  <url>',
+    `    <loc>${escapeXml(absolute(e.path))}</loc>`,
+    ...(e.alternates || []).map((a) => `    <xhtml:link rel="alternate" hreflang="${escapeXml(a.hreflang)}" href="${escapeXml(absolute(a.path))}" />`),
+    e.lastmod ? `    <lastmod>${e.lastmod}</lastmod>` : '',
+    e.changefreq ? `    <changefreq>${e.changefreq}</changefreq>` : '',
+    e.priority ? `    <priority>${e.priority}</priority>` : '',
+    ...(e.images || []).map((img) => `    <image:image><image:loc>${escapeXml(absolute(img))}</image:loc></image:image>`),
+    '  </url>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    [
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+      hasImages ? ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"' : '',
+      hasAlternates ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : '',
+      '>',
+    ].join(''),
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+// `files` is [{ path, lastmod }], one per child sitemap.
+function indexXml(files, absolute) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...files.map((f) => [
+      '  <sitemap>',
+      `    <loc>${escapeXml(absolute(f.path))}</loc>`,
+      f.lastmod ? `    <lastmod>${f.lastmod}</lastmod>` : '',
+      '  </sitemap>',
+    ].filter(Boolean).join('\n')),
+    '</sitemapindex>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  MAX_URLS,
+  sitemapEntries,
+  splitEntries,
+  indexFiles,
+  urlsetXml,
+  indexXml,
+};
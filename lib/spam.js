@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Contact form spam checks. Each signal adds to a score and anything at or above the
+// threshold is stored as spam instead of being emailed. Bots still get a normal
+// response so they can't tell which check caught them.
+const SPAM_THRESHOLD = 5;
+const MIN_FILL_MS = 3 * 1000;
+const MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_LINKS = 2;
+
+// Only phrases that are almost never in a genuine enquiry. Words for whole industries
+// (crypto, betting, ...) would flag real clients, so those belong in the admin's list.
+const DEFAULT_KEYWORDS = [
+  'viagra',
+  'cialis',
+  'payday loan',
+  'seo services',
+  'backlinks',
+  'guest post',
+  'rank your website',
+  'first page of google',
+  'porn',
+];
+
+function tokenSignature(secret, issuedAt) {
+  return crypto.createHmac('sha256', String(secret)).update(`contact-form:${issuedAt}`).digest('hex').slice(0, 32);
+}
+
+// Rendered into the contact form; proves the submission came from a page we served and when.
+function issueFormToken(secret, now) {
+  const issuedAt = String(typeof now === 'number' ? now : Date.now());
+  return `${issuedAt}.${tokenSignature(secret, issuedAt)}`;
+}
+
+// Returns the form's age in ms, or null when the token is missing or forged.
+function formTokenAge(secret, token, now) {
+  const [issuedAt, signature] = String(token || '').split('.');
+  if (!/^\d{10,16}$/.test(issuedAt || '') || !/^[a-f0-9]{32}$/.test(signature || '')) return null;
+  const expected = tokenSignature(secret, issuedAt);
+  if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) return null;
+  return (typeof now === 'number' ? now : Date.now()) - Number(issuedAt);
+}
+
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\r\n,]+/);
+  return Array.from(new Set(items.map((v) => String(v || '').trim().toLowerCase()).filter(Boolean))).slice(0, 500);
+}
+
+// Entries are full addresses (spammer@example.com) or domains (example.com, which also
+// covers its subdomains); a leading "@" is allowed for domains.
+function isBlocked(email, blocklist) {
+  const address = String(email || '').trim().toLowerCase();
+  const domain = address.split('@')[1] || '';
+  return normalizeList(blocklist).some((entry) => {
+    if (entry.includes('@') && !entry.startsWith('@')) return entry === address;
+    const blocked = entry.replace(/^@/, '');
+    return domain === blocked || domain.endsWith(`.${blocked}`);
+  });
+}
+
+function countLinks(text) {
+  return (String(text || '').match(/\b(?:https?:\/\/|www\.)\S+/gi) || []).length;
+}
+
+function scoreSubmission(input, options) {
+  const opts = options || {};
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  if (String(input.honeypot || '').trim()) add(10, 'honeypot filled');
+  if (isBlocked(input.email, opts.blocklist)) add(10, 'blocked sender');
+
+  const age = formTokenAge(opts.secret, input.formToken, opts.now);
+  if (age === null) add(5, 'missing or invalid form token');
+  else if (age < MIN_FILL_MS) add(5, 'submitted too quickly');
+  else if (age > MAX_TOKEN_AGE_MS) add(2, 'form token expired');
+
+  const links = countLinks(`${input.subject}\n${input.message}`);
+  if (links > MAX_LINKS) add((links - MAX_LINKS) * 3, `${links} links`);
+  if (countLinks(input.name)) add(3, 'link in name');
+
+  const haystack = `${input.name}\n${input.subject}\n${input.message}`.toLowerCase();
+  normalizeList(DEFAULT_KEYWORDS.concat(normalizeList(opts.keywords))).forEach((keyword) => {
+    if (haystack.includes(keyword)) add(2, `keyword "${keyword}"`);
+  });
+
+  return { spam: score >= SPAM_THRESHOLD, score, reasons };
+}
+
+module.exports = {
+  SPAM_THRESHOLD,
+  DEFAULT_KEYWORDS,
+  issueFormToken,
+  formTokenAge,
+  normalizeList,
+  isBlocked,
+  scoreSubmission,
+};
@@ -0,0 +1,64 @@
+const path = require('path');
+const fs = require('fs/promises');
+
+// DATA_DIR lets the tests run against a scratch copy.
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+
+async function ensureDir(dirPath) {
+  await fs.mkdir(dirPath, { recursive: true });
+}
+
+async function readJson(filePath, fallbackValue) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err && (err.code === 'ENOENT' || err.name === 'SyntaxError')) return fallbackValue;
+    throw err;
+  }
+}
+
+let writeQueue = Promise.resolve();
+function writeJsonAtomic(filePath, value) {
+  writeQueue = writeQueue.then(async () => {
+    await ensureDir(path.dirname(filePath));
+    const tmpPath = `${filePath}.tmp`;
+    const raw = JSON.stringify(value, null, 2) + '\n';
+    await fs.writeFile(tmpPath, raw, 'utf8');
+    await fs.rename(tmpPath, filePath);
+  });
+  return writeQueue;
+}
+
+// Read-modify-write of one JSON file, chained per file so concurrent requests can't
+// lose each other's updates. `fn` may change `data` in place and may be async; the file
+// is only written when it doesn't return false. Resolves to what `fn` returned.
+const updateQueues = new Map();
+function updateJson(filePath, fallbackValue, fn) {
+  const previous = updateQueues.get(filePath) || Promise.resolve();
+  const run = previous.then(async () => {
+    const stored = await readJson(filePath, fallbackValue);
+    const data = Array.isArray(fallbackValue) === Array.isArray(stored) && stored && typeof stored === 'object'
+      ? stored
+      : fallbackValue;
+    const result = await fn(data);
+    if (result !== false) await writeJsonAtomic(filePath, data);
+    return result;
+  });
+  updateQueues.set(filePath, run.catch(() => {}));
+  return run;
+}
+
+function removeFile(filePath) {
+  writeQueue = writeQueue.then(() => fs.rm(filePath, { force: true }));
+  return writeQueue;
+}
+
+module.exports = {
+  DATA_DIR,
+  ensureDir,
+  readJson,
+  writeJsonAtomic,
+  updateJson,
+  removeFile,
+};
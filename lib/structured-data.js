@@ -0,0 +1,208 @@
+const blog = require('./blog');
+const detailPages = require('./detail-pages');
+
+// schema.org JSON-LD built from site.json. The homepage gets one @graph with the Person
+// and everything they made; post, project and case study pages get their own node
+// pointing back at the Person by @id. Disabled sections are left out, like they are on the page.
+const CURRENT_JOB = /\b(present|current|now)\s*$/i;
+
+function enabled(site, key) {
+  return Boolean(site && site[key]) && site[key].enabled !== false;
+}
+
+function text(value) {
+  return String(value || '').trim();
+}
+
+// Drops empty strings, empty arrays and undefined so the output only claims what we know.
+function compact(node) {
+  const out = {};
+  Object.keys(node).forEach((key) => {
+    const value = node[key];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && !value.length) return;
+    out[key] = value;
+  });
+  return out;
+}
+
+function isWebUrl(value) {
+  return /^https?:\/\//i.test(text(value));
+}
+
+// `ctx` is { baseUrl, withBasePath }; relative site paths become absolute URLs.
+function absolute(ctx, url) {
+  const value = text(url);
+  if (!value) return '';
+  return isWebUrl(value) ? value : `${ctx.baseUrl}${ctx.withBasePath(value)}`;
+}
+
+function personId(ctx) {
+  return `${ctx.baseUrl}${ctx.withBasePath('/')}#person`;
+}
+
+function fullName(site) {
+  const hero = site.hero || {};
+  return `${text(hero.firstName)} ${text(hero.lastName)}`.trim() || 'Portfolio';
+}
+
+function organization(name) {
+  return { '@type': 'Organization', name };
+}
+
+// Current roles go to worksFor, earlier employers to alumniOf.
+function employers(site) {
+  const items = enabled(site, 'experience') && Array.isArray(site.experience.items) ? site.experience.items : [];
+  const current = [];
+  const past = [];
+  items.forEach((item) => {
+    const company = text(item && item.company);
+    if (!company) return;
+    const list = CURRENT_JOB.test(text(item.date)) ? current : past;
+    if (!list.includes(company)) list.push(company);
+  });
+  return {
+    worksFor: current.map(organization),
+    alumniOf: past.filter((name) => !current.includes(name)).map(organization),
+  };
+}
+
+// Certification cards carry their issuer and date as free-form meta lines; the calendar
+// line is the date, the first other line the issuer.
+function credentials(site) {
+  const cards = enabled(site, 'certifications') && Array.isArray(site.certifications.cards) ? site.certifications.cards : [];
+  return cards.filter((c) => c && text(c.title)).map((card) => {
+    const meta = Array.isArray(card.meta) ? card.meta.filter((m) => m && text(m.text)) : [];
+    const date = meta.find((m) => /calendar/.test(text(m.icon)));
+    const issuer = meta.find((m) => m !== date);
+    const year = date && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(text(date.text)) ? text(date.text) : '';
+    return compact({
+      '@type': 'EducationalOccupationalCredential',
+      name: text(card.title),
+      description: text(card.desc),
+      credentialCategory: card.ribbon ? text(card.ribbon.text) : '',
+      recognizedBy: issuer ? organization(text(issuer.text)) : undefined,
+      dateCreated: year,
+    });
+  });
+}
+
+function person(site, ctx) {
+  const hero = site.hero || {};
+  const sameAs = (Array.isArray(hero.socials) ? hero.socials : [])
+    .map((s) => s && text(s.href))
+    .filter(isWebUrl)
+    .slice(0, 10);
+  const meta = site.meta || {};
+  const { worksFor, alumniOf } = employers(site);
+  return compact({
+    '@type': 'Person',
+    '@id': personId(ctx),
+    name: fullName(site),
+    url: `${ctx.baseUrl}${ctx.withBasePath('/')}`,
+    jobTitle: Array.isArray(hero.titles) ? text(hero.titles[0]) : '',
+    description: text(meta.description) || text(hero.description),
+    image: absolute(ctx, hero.image),
+    sameAs,
+    worksFor,
+    alumniOf,
+    hasCredential: credentials(site),
+  });
+}
+
+function blogPosting(post, ctx) {
+  const url = blog.hasPage(post) ? absolute(ctx, `/blog/${post.slug}`) : (isWebUrl(post.href) ? text(post.href) : '');
+  const date = blog.postDate(post);
+  return compact({
+    '@type': 'BlogPosting',
+    headline: text(post.title),
+    description: text(post.excerpt),
+    url,
+    mainEntityOfPage: url,
+    datePublished: date ? date.toISOString() : '',
+    articleSection: text(post.category),
+    wordCount: blog.hasPage(post) ? String(post.body).split(/\s+/).filter(Boolean).length : undefined,
+    author: { '@id': personId(ctx) },
+  });
+}
+
+function blogPostings(site, ctx) {
+  if (!enabled(site, 'blog')) return [];
+  return blog.listPosts(site).filter((p) => text(p.title)).map((post) => blogPosting(post, ctx));
+}
+
+function projectWork(card, ctx) {
+  const page = detailPages.cardHref('projects', card, ctx.withBasePath);
+  const link = card.link && card.link.type !== 'status' && isWebUrl(card.link.href) ? text(card.link.href) : '';
+  return compact({
+    '@type': 'CreativeWork',
+    name: text(card.frontTitle),
+    description: text(card.backDesc) || text(card.frontDesc),
+    url: page ? `${ctx.baseUrl}${page}` : link,
+    sameAs: page && link ? link : '',
+    image: absolute(ctx, card.image),
+    keywords: Array.isArray(card.tech) ? card.tech.map(text).filter(Boolean).join(', ') : '',
+    genre: text(card.category),
+    creator: { '@id': personId(ctx) },
+  });
+}
+
+function projectWorks(site, ctx) {
+  if (!enabled(site, 'projects')) return [];
+  return detailPages.listCards(site, 'projects').filter((c) => text(c.frontTitle)).map((card) => projectWork(card, ctx));
+}
+
+// Case studies only have structured data on their own page.
+function caseStudyArticle(card, ctx) {
+  const page = detailPages.cardHref('casestudies', card, ctx.withBasePath);
+  return compact({
+    '@type': 'Article',
+    headline: text(card.title),
+    description: text(card.seoDescription) || text(card.challenge),
+    url: page ? `${ctx.baseUrl}${page}` : '',
+    image: absolute(ctx, card.image),
+    keywords: Array.isArray(card.tech) ? card.tech.map(text).filter(Boolean).join(', ') : '',
+    author: { '@id': personId(ctx) },
+  });
+}
+
+function sourceCode(site, ctx) {
+  if (!enabled(site, 'github') || !Array.isArray(site.github.pinned)) return [];
+  return site.github.pinned.filter((r) => r && text(r.name)).map((repo) => compact({
+    '@type': 'SoftwareSourceCode',
+    name: text(repo.name),
+    description: text(repo.desc),
+    codeRepository: isWebUrl(repo.href) ? text(repo.href) : '',
+    programmingLanguage: repo.lang ? text(repo.lang.name) : '',
+    author: { '@id': personId(ctx) },
+  }));
+}
+
+function homeGraph(site, ctx) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [person(site, ctx), ...blogPostings(site, ctx), ...projectWorks(site, ctx), ...sourceCode(site, ctx)],
+  };
+}
+
+// A standalone node for a post or project page, with the Person it points at.
+function pageGraph(site, node, ctx) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [node, compact({ '@type': 'Person', '@id': personId(ctx), name: fullName(site), url: `${ctx.baseUrl}${ctx.withBasePath('/')}` })],
+  };
+}
+
+// For <script type="application/ld+json">: "<" is escaped so content can't close the tag.
+function serialize(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+module.exports = {
+  homeGraph,
+  pageGraph,
+  blogPosting,
+  projectWork,
+  caseStudyArticle,
+  serialize,
+};
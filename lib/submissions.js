@@ -0,0 +1,226 @@
+const path = require('path');
+const crypto = require('crypto');
+
+const { DATA_DIR, readJson, updateJson } = require('./store');
+
+const SUBMISSIONS_JSON_PATH = path.join(DATA_DIR, 'submissions.json');
+const TRIAGE_STATES = ['new', 'read', 'replied', 'archived'];
+const DELIVERY_STATUSES = ['queued', 'sent', 'send_failed', 'email_not_configured'];
+const PAGE_SIZE = 25;
+
+async function listSubmissions() {
+  const current = await readJson(SUBMISSIONS_JSON_PATH, []);
+  return Array.isArray(current) ? current.filter(Boolean) : [];
+}
+
+// Submissions saved before triage existed have no state and count as new.
+function submissionState(s) {
+  return TRIAGE_STATES.includes(s && s.state) ? s.state : 'new';
+}
+
+// Spam is a delivery status rather than a triage state: it was never emailed and lives
+// in its own tab, whatever its triage state.
+function isSpam(s) {
+  return Boolean(s) && s.status === 'spam';
+}
+
+// A submission's status after an attempt at its outbox job: it stays queued while the
+// job still has retries left and only counts as failed once the outbox gives up.
+function deliveryStatus(job) {
+  if (job.status === 'sent') return 'sent';
+  return job.status === 'failed' ? 'send_failed' : 'queued';
+}
+
+function updateSubmissions(fn) {
+  return updateJson(SUBMISSIONS_JSON_PATH, [], (stored) => {
+    const list = stored.filter(Boolean);
+    stored.splice(0, stored.length, ...list);
+    return fn(stored);
+  });
+}
+
+// `conflicts(list)` runs inside the queue, so a check such as "is this slot still free"
+// can't race another append. Resolves false when it refused.
+function appendSubmission(submission, conflicts) {
+  return updateSubmissions((list) => {
+    if (conflicts && conflicts(list)) return false;
+    list.push(Object.assign({}, submission, { state: 'new', notes: [] }));
+    return true;
+  });
+}
+
+function patchSubmission(id, patch) {
+  return updateSubmissions((list) => {
+    const idx = list.findIndex((s) => s.id === id);
+    if (idx === -1) return false;
+    list[idx] = Object.assign({}, list[idx], patch);
+    return true;
+  });
+}
+
+function setState(ids, state) {
+  if (!TRIAGE_STATES.includes(state)) return Promise.resolve(0);
+  const wanted = new Set(ids);
+  return updateSubmissions((list) => {
+    let changed = 0;
+    list.forEach((s) => {
+      if (!wanted.has(s.id) || submissionState(s) === state) return;
+      s.state = state;
+      changed += 1;
+    });
+    return changed ? changed : false;
+  }).then((changed) => changed || 0);
+}
+
+// Moves submissions into or out of spam and returns copies of the ones that changed,
+// so the caller can send the emails that were held back.
+function setSpam(ids, spam, releasedStatus) {
+  const wanted = new Set(ids);
+  const changed = [];
+  return updateSubmissions((list) => {
+    list.forEach((s) => {
+      if (!wanted.has(s.id) || isSpam(s) === spam) return;
+      if (spam) {
+        s.status = 'spam';
+        s.spam = Object.assign({}, s.spam, { markedAt: new Date().toISOString() });
+      } else {
+        s.status = releasedStatus;
+        s.spam = Object.assign({}, s.spam, { releasedAt: new Date().toISOString() });
+      }
+      changed.push(Object.assign({}, s));
+    });
+    return changed.length ? changed : false;
+  }).then(() => changed);
+}
+
+function deleteSubmissions(ids) {
+  const wanted = new Set(ids);
+  return updateSubmissions((list) => {
+    const before = list.length;
+    const kept = list.filter((s) => !wanted.has(s.id));
+    if (kept.length === before) return false;
+    list.splice(0, list.length, ...kept);
+    return before - kept.length;
+  }).then((removed) => removed || 0);
+}
+
+function addNote(id, { author, text }) {
+  const body = String(text || '').trim().slice(0, 2000);
+  if (!body) return Promise.resolve(false);
+  return updateSubmissions((list) => {
+    const s = list.find((x) => x.id === id);
+    if (!s) return false;
+    s.notes = (Array.isArray(s.notes) ? s.notes : []).concat({
+      id: crypto.randomBytes(6).toString('hex'),
+      at: new Date().toISOString(),
+      author: author || 'unknown',
+      text: body,
+    });
+    return true;
+  });
+}
+
+// Replies are appended in the order they were sent, which is also the thread order.
+function addReply(id, reply) {
+  return updateSubmissions((list) => {
+    const s = list.find((x) => x.id === id);
+    if (!s) return false;
+    s.replies = (Array.isArray(s.replies) ? s.replies : []).concat(reply);
+    s.state = 'replied';
+    return true;
+  });
+}
+
+function normalizeFilters(src) {
+  const raw = src || {};
+  const date = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) ? String(v) : '');
+  const state = String(raw.state || '');
+  const status = String(raw.status || '');
+  return {
+    q: String(raw.q || '').trim().slice(0, 200),
+    state: state === 'all' || state === 'spam' || TRIAGE_STATES.includes(state) ? state : '',
+    status: DELIVERY_STATUSES.includes(status) ? status : '',
+    from: date(raw.from),
+    to: date(raw.to),
+  };
+}
+
+// With no state filter the inbox hides archived messages and "all" shows every
+// triage state. Spam only ever shows up under the "spam" filter.
+function filterSubmissions(list, filters) {
+  const f = normalizeFilters(filters);
+  const terms = f.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const fromMs = f.from ? Date.parse(`${f.from}T00:00:00`) : null;
+  const toMs = f.to ? Date.parse(`${f.to}T23:59:59.999`) : null;
+
+  return list.filter((s) => {
+    if ((f.state === 'spam') !== isSpam(s)) return false;
+    const state = submissionState(s);
+    if (f.state === '' && state === 'archived') return false;
+    if (TRIAGE_STATES.includes(f.state) && state !== f.state) return false;
+    if (f.status && s.status !== f.status) return false;
+
+    const created = Date.parse(s.createdAt || '');
+    if (fromMs !== null && !(created >= fromMs)) return false;
+    if (toMs !== null && !(created <= toMs)) return false;
+
+    if (terms.length) {
+      const notes = (Array.isArray(s.notes) ? s.notes : []).map((n) => n.text);
+      const replies = (Array.isArray(s.replies) ? s.replies : []).map((r) => r.body);
+      const fields = (Array.isArray(s.fields) ? s.fields : []).map((f) => f.value);
+      const haystack = [s.name, s.email, s.subject, s.message].concat(fields, notes, replies).join('\n').toLowerCase();
+      if (!terms.every((t) => haystack.includes(t))) return false;
+    }
+    return true;
+  });
+}
+
+function paginate(list, page, pageSize) {
+  const size = pageSize || PAGE_SIZE;
+  const pages = Math.max(1, Math.ceil(list.length / size));
+  const current = Math.min(Math.max(1, parseInt(page, 10) || 1), pages);
+  return { items: list.slice((current - 1) * size, current * size), page: current, pages, pageSize: size, total: list.length };
+}
+
+const CSV_COLUMNS = ['id', 'createdAt', 'name', 'email', 'subject', 'message', 'fields', 'status', 'state', 'notes'];
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  // Leading =, +, - or @ would be run as a formula by spreadsheet apps.
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function submissionsToCsv(list) {
+  const lines = [CSV_COLUMNS.join(',')];
+  (list || []).forEach((s) => {
+    const row = Object.assign({}, s, {
+      state: submissionState(s),
+      fields: (Array.isArray(s.fields) ? s.fields : []).map((f) => `${f.label}: ${f.value}`).join('\n'),
+      notes: (Array.isArray(s.notes) ? s.notes : []).map((n) => `[${n.at} ${n.author}] ${n.text}`).join('\n'),
+    });
+    lines.push(CSV_COLUMNS.map((col) => csvCell(row[col])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  SUBMISSIONS_JSON_PATH,
+  TRIAGE_STATES,
+  DELIVERY_STATUSES,
+  listSubmissions,
+  submissionState,
+  isSpam,
+  deliveryStatus,
+  appendSubmission,
+  patchSubmission,
+  setState,
+  setSpam,
+  deleteSubmissions,
+  addNote,
+  addReply,
+  normalizeFilters,
+  filterSubmissions,
+  paginate,
+  submissionsToCsv,
+};
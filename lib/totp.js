@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based codes (SHA-1, 6 digits, 30 s steps): the defaults every authenticator app supports.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentCounter(now) {
+  return Math.floor((typeof now === 'number' ? now : Date.now()) / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) for a given counter; TOTP is HOTP over the current time step.
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the matching time step (so callers can refuse a replayed code) or null.
+// One step either side allows for clock drift between the server and the phone.
+function verifyTotp(secret, code, options) {
+  const opts = options || {};
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const window = typeof opts.window === 'number' ? opts.window : 1;
+  const now = currentCounter(opts.now);
+  for (let counter = now - window; counter <= now + window; counter += 1) {
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return counter;
+  }
+  return null;
+}
+
+function otpauthUrl({ issuer, account, secret }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  currentCounter,
+  hotp,
+  verifyTotp,
+  otpauthUrl,
+};
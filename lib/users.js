@@ -0,0 +1,287 @@
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const { DATA_DIR, readJson, updateJson } = require('./store');
+const totp = require('./totp');
+
+const USERS_JSON_PATH = path.join(DATA_DIR, 'users.json');
+const ROLES = ['owner', 'editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const TOKEN_TTL_MS = 72 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 10;
+const RECOVERY_CODE_COUNT = 10;
+
+async function listUsers() {
+  const users = await readJson(USERS_JSON_PATH, []);
+  return Array.isArray(users) ? users.filter((u) => u && u.username) : [];
+}
+
+async function findUser(username) {
+  const users = await listUsers();
+  return users.find((u) => u.username === username) || null;
+}
+
+// Accounts created before roles existed could do everything, so they stay owners.
+function userRole(user) {
+  return user && ROLES.includes(user.role) ? user.role : 'owner';
+}
+
+function hasRole(user, minRole) {
+  return ROLE_RANK[userRole(user)] >= ROLE_RANK[minRole];
+}
+
+function userStatus(user) {
+  if (user.disabled) return 'disabled';
+  if (!user.passwordHash) return user.token && user.token.purpose === 'reset' ? 'reset pending' : 'invited';
+  return 'active';
+}
+
+function canSignIn(user) {
+  return Boolean(user && user.passwordHash && !user.disabled);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function countActiveOwners(users) {
+  return users.filter((u) => userRole(u) === 'owner' && canSignIn(u)).length;
+}
+
+// `fn` returns { error } to leave the file untouched.
+async function updateUsers(fn) {
+  let result;
+  await updateJson(USERS_JSON_PATH, [], async (stored) => {
+    const users = stored.filter((u) => u && u.username);
+    stored.splice(0, stored.length, ...users);
+    result = await fn(stored);
+    return result.error ? false : result;
+  });
+  return result;
+}
+
+function issueToken(user, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.token = {
+    hash: hashToken(token),
+    purpose,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS).toISOString(),
+  };
+  return token;
+}
+
+function inviteUser({ username, role, invitedBy }) {
+  const name = String(username || '').trim();
+  if (!/^[a-zA-Z0-9._-]{3,40}$/.test(name)) {
+    return Promise.resolve({ error: 'Username must be 3-40 letters, numbers, dots, dashes or underscores.' });
+  }
+  if (!ROLES.includes(role)) return Promise.resolve({ error: 'Unknown role.' });
+
+  return updateUsers((users) => {
+    if (users.some((u) => u.username === name)) return { error: 'User already exists.' };
+    const user = {
+      username: name,
+      role,
+      createdAt: new Date().toISOString(),
+      invitedBy: invitedBy || 'unknown',
+    };
+    const token = issueToken(user, 'invite');
+    users.push(user);
+    return { token };
+  });
+}
+
+// Clears the current password so the old one stops working until the link is used.
+function resetPassword(username) {
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) return { error: 'User not found.' };
+    delete user.passwordHash;
+    const token = issueToken(user, 'reset');
+    if (userRole(user) === 'owner' && countActiveOwners(users) === 0) return { error: 'The last owner cannot be reset.' };
+    return { token };
+  });
+}
+
+function setRole(username, role) {
+  if (!ROLES.includes(role)) return Promise.resolve({ error: 'Unknown role.' });
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) return { error: 'User not found.' };
+    user.role = role;
+    if (countActiveOwners(users) === 0) return { error: 'At least one active owner is required.' };
+    return {};
+  });
+}
+
+function setDisabled(username, disabled) {
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) return { error: 'User not found.' };
+    if (disabled) user.disabled = true;
+    else delete user.disabled;
+    if (countActiveOwners(users) === 0) return { error: 'At least one active owner is required.' };
+    return {};
+  });
+}
+
+async function findByToken(token) {
+  const hash = hashToken(token);
+  const users = await listUsers();
+  const user = users.find((u) => u.token && u.token.hash === hash);
+  if (!user || user.disabled || Date.parse(user.token.expiresAt) < Date.now()) return null;
+  return user;
+}
+
+async function acceptToken(token, password) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+  }
+  const passwordHash = await bcrypt.hash(String(password), 12);
+  const hash = hashToken(token);
+  return updateUsers((users) => {
+    const user = users.find((u) => u.token && u.token.hash === hash);
+    if (!user || user.disabled || Date.parse(user.token.expiresAt) < Date.now()) {
+      return { error: 'This link is invalid or has expired.' };
+    }
+    user.passwordHash = passwordHash;
+    user.passwordChangedAt = new Date().toISOString();
+    delete user.token;
+    return { username: user.username };
+  });
+}
+
+function hasTotp(user) {
+  return Boolean(user && user.totp && user.totp.secret);
+}
+
+// Recovery codes are shown once and only their hashes are kept, like passwords.
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+function enableTotp(username, secret, counter) {
+  const codes = generateRecoveryCodes();
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) return { error: 'User not found.' };
+    user.totp = {
+      secret,
+      enabledAt: new Date().toISOString(),
+      lastCounter: counter,
+      recoveryCodes: codes.map((c) => hashToken(normalizeRecoveryCode(c))),
+    };
+    return { recoveryCodes: codes };
+  });
+}
+
+function disableTotp(username) {
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) return { error: 'User not found.' };
+    delete user.totp;
+    return {};
+  });
+}
+
+function regenerateRecoveryCodes(username) {
+  const codes = generateRecoveryCodes();
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!hasTotp(user)) return { error: 'Two-factor authentication is not enabled.' };
+    user.totp.recoveryCodes = codes.map((c) => hashToken(normalizeRecoveryCode(c)));
+    return { recoveryCodes: codes };
+  });
+}
+
+// Accepts a current authenticator code (each time step only once) or an unused recovery code.
+function verifySecondFactor(username, code) {
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!hasTotp(user)) return { error: 'Two-factor authentication is not enabled.' };
+
+    const counter = totp.verifyTotp(user.totp.secret, code);
+    if (counter !== null) {
+      if (typeof user.totp.lastCounter === 'number' && counter <= user.totp.lastCounter) {
+        return { error: 'That code was already used. Wait for the next one.' };
+      }
+      user.totp.lastCounter = counter;
+      return { method: 'totp' };
+    }
+
+    const hash = hashToken(normalizeRecoveryCode(code));
+    const remaining = (user.totp.recoveryCodes || []).filter((h) => h !== hash);
+    if (remaining.length === (user.totp.recoveryCodes || []).length) return { error: 'Invalid code.' };
+    user.totp.recoveryCodes = remaining;
+    return { method: 'recovery', remainingRecoveryCodes: remaining.length };
+  });
+}
+
+async function setPassword(username, password) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+  }
+  const passwordHash = await bcrypt.hash(String(password), 12);
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user) return { error: 'User not found.' };
+    user.passwordHash = passwordHash;
+    user.passwordChangedAt = new Date().toISOString();
+    delete user.token;
+    return {};
+  });
+}
+
+function deleteUser(username) {
+  return updateUsers((users) => {
+    const idx = users.findIndex((u) => u.username === username);
+    if (idx === -1) return { error: 'User not found.' };
+    users.splice(idx, 1);
+    if (countActiveOwners(users) === 0) return { error: 'At least one active owner is required.' };
+    return {};
+  });
+}
+
+function recordLogin(username) {
+  return updateUsers((users) => {
+    const user = users.find((u) => u.username === username);
+    if (user) user.lastLoginAt = new Date().toISOString();
+    return {};
+  });
+}
+
+module.exports = {
+  USERS_JSON_PATH,
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  listUsers,
+  findUser,
+  userRole,
+  hasRole,
+  userStatus,
+  canSignIn,
+  hasTotp,
+  inviteUser,
+  resetPassword,
+  setRole,
+  setDisabled,
+  findByToken,
+  acceptToken,
+  recordLogin,
+  setPassword,
+  deleteUser,
+  enableTotp,
+  disableTotp,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+};
@@ -892,22 +892,39 @@ if (contactForm) {
     const email = document.getElementById('email')?.value?.trim() || '';
     const subject = document.getElementById('subject')?.value?.trim() || '';
     const message = document.getElementById('message')?.value?.trim() || '';
+    const website = document.getElementById('website')?.value || '';
+    const formToken = contactForm.elements.formToken?.value || '';
+    const fields = {};
+    contactForm.querySelectorAll('[data-contact-field]').forEach((el) => {
+      fields[el.dataset.contactField] = el.type === 'checkbox' ? (el.checked ? 'yes' : '') : el.value.trim();
+    });
 
     submitBtn.innerHTML = '<span>Sending...</span><i class="fas fa-spinner fa-spin"></i>';
     submitBtn.disabled = true;
 
     try {
       const base = (window.__BASE_PATH__ || '').replace(/\/$/, '');
-      const res = await fetch(`${base}/api/contact`, {
-        method: 'POST',
+      const files = Array.from(document.getElementById('contact-attachments')?.files || []);
+      let request = {
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name, email, subject, message }),
-      });
+        body: JSON.stringify({ name, email, subject, message, fields, website, formToken }),
+      };
+      // Files need a multipart body; the browser sets its Content-Type with the boundary.
+      if (files.length) {
+        const body = new FormData();
+        Object.entries({ name, email, subject, message, website, formToken }).forEach(([k, v]) => body.append(k, v));
+        Object.entries(fields).forEach(([k, v]) => body.append(`fields[${k}]`, v));
+        files.forEach((file) => body.append('attachments', file));
+        request = { body };
+      }
+      const res = await fetch(`${base}/api/contact`, Object.assign({ method: 'POST' }, request));
       const data = await res.json().catch(() => ({}));
 
       if (!res.ok || !data.ok) {
-        const msg = data.error || 'Failed to send.';
-        submitBtn.innerHTML = `<span>${msg}</span><i class="fas fa-triangle-exclamation"></i>`;
+        const msg = document.createElement('span');
+        msg.textContent = data.error || 'Failed to send.';
+        submitBtn.innerHTML = '<i class="fas fa-triangle-exclamation"></i>';
+        submitBtn.prepend(msg);
         submitBtn.style.background = 'linear-gradient(135deg, #ef4444, #b91c1c)';
         setTimeout(() => {
           submitBtn.innerHTML = originalContent;
@@ -938,6 +955,89 @@ if (contactForm) {
   });
 }
 
+// ===== BOOKING =====
+const bookingBox = document.getElementById('booking');
+if (bookingBox) {
+  const base = (window.__BASE_PATH__ || '').replace(/\/$/, '');
+  const daysEl = bookingBox.querySelector('[data-booking-days]');
+  const slotsEl = bookingBox.querySelector('[data-booking-slots]');
+  const statusEl = bookingBox.querySelector('[data-booking-status]');
+  const bookingForm = document.getElementById('booking-form');
+  const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  const timeFormat = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit' });
+  let byDay = new Map();
+
+  bookingBox.querySelector('[data-booking-zone]').textContent = Intl.DateTimeFormat().resolvedOptions().timeZone || 'local time';
+
+  const slotButton = (label, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'booking-slot';
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      btn.parentElement.querySelectorAll('.booking-slot').forEach((b) => b.classList.remove('active'));
+      btn.classList.add('active');
+      onClick();
+    });
+    return btn;
+  };
+
+  const showDay = (key) => {
+    slotsEl.replaceChildren(...byDay.get(key).map((slot) => slotButton(timeFormat.format(new Date(slot.start)), () => {
+      bookingForm.elements.start.value = slot.start;
+      bookingForm.hidden = false;
+      statusEl.textContent = `Selected: ${dayFormat.format(new Date(slot.start))}, ${timeFormat.format(new Date(slot.start))}`;
+    })));
+  };
+
+  const loadSlots = async () => {
+    bookingForm.hidden = true;
+    slotsEl.replaceChildren();
+    try {
+      const res = await fetch(`${base}/api/booking/slots`);
+      const data = await res.json();
+      byDay = new Map();
+      (data.slots || []).forEach((slot) => {
+        const key = dayFormat.format(new Date(slot.start));
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(slot);
+      });
+      daysEl.replaceChildren(...Array.from(byDay.keys()).map((key) => slotButton(key, () => showDay(key))));
+      if (!byDay.size) statusEl.textContent = 'No open times right now. Please use the contact form instead.';
+    } catch {
+      statusEl.textContent = 'Could not load open times.';
+    }
+  };
+
+  bookingForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const submitBtn = bookingForm.querySelector('.btn-submit');
+    submitBtn.disabled = true;
+    const payload = Object.fromEntries(new FormData(bookingForm).entries());
+    try {
+      const res = await fetch(`${base}/api/booking`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.ok) {
+        statusEl.textContent = data.error || 'Booking failed.';
+        if (res.status === 409) await loadSlots();
+      } else {
+        bookingForm.reset();
+        await loadSlots();
+        statusEl.textContent = 'Booked! A calendar invitation is on its way to your inbox.';
+      }
+    } catch {
+      statusEl.textContent = 'Network error';
+    }
+    submitBtn.disabled = false;
+  });
+
+  loadSlots();
+}
+
 // ===== SMOOTH SCROLL =====
 document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
   anchor.addEventListener('click', function (e) {
@@ -0,0 +1,219 @@
+const fs = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+
+const users = require('../lib/users');
+const siteData = require('../lib/site');
+const submissionStore = require('../lib/submissions');
+const { validateSite, formatErrors } = require('../lib/site-schema');
+
+const USAGE = `Usage: npm run cli -- <command> [options]
+
+Users:
+  user list                           List users with role, status and 2FA
+  user passwd <username> [password]   Set a password (prompts when omitted)
+  user role <username> <role>         Change a role (${users.ROLES.join(', ')})
+  user delete <username>              Delete a user
+
+Site content:
+  site validate [file]                Check data/site.json (or a file) against the schema
+  site export [file] [--draft]        Write the live site (or the draft) to a file or stdout
+  site import <file> [--draft]        Validate and publish a file, or save it as the draft
+
+Submissions:
+  submissions export [--format json|csv] [--out file]`;
+
+class CliError extends Error {}
+
+function fail(message) {
+  throw new CliError(message);
+}
+
+// Results go to stdout; progress and errors to stderr so exports can be piped.
+function print(message, toStderr) {
+  // eslint-disable-next-line no-console
+  (toStderr ? console.error : console.log)(message);
+}
+
+function pad(value, width) {
+  const text = String(value == null ? '' : value);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function printTable(columns, rows) {
+  const widths = columns.map((col) => Math.max(col.label.length, ...rows.map((r) => String(r[col.key] || '').length)));
+  print(columns.map((col, i) => pad(col.label, widths[i])).join('  '));
+  rows.forEach((r) => print(columns.map((col, i) => pad(r[col.key], widths[i])).join('  ')));
+}
+
+// Reads a password without echoing it when attached to a terminal; piped input is read as-is.
+function promptPassword(question) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+async function readJsonFile(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(path.resolve(file), 'utf8');
+  } catch (err) {
+    fail(err.code === 'ENOENT' ? `File not found: ${file}` : err.message);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return fail(`${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+async function writeOutput(file, text) {
+  if (!file || file === '-') {
+    process.stdout.write(text);
+    return;
+  }
+  await fs.writeFile(path.resolve(file), text, 'utf8');
+  print(`Wrote ${file}`, true);
+}
+
+function reportInvalid(label, validation) {
+  print(`${label} failed validation:`, true);
+  formatErrors(validation.errors).forEach((line) => print(`  - ${line}`, true));
+  process.exitCode = 1;
+}
+
+const commands = {
+  async 'user list'() {
+    const list = await users.listUsers();
+    if (!list.length) {
+      print('No users. Create one with: npm run create-admin -- <username> <password>');
+      return;
+    }
+    printTable(
+      [
+        { key: 'username', label: 'USERNAME' },
+        { key: 'role', label: 'ROLE' },
+        { key: 'status', label: 'STATUS' },
+        { key: 'twoFactor', label: '2FA' },
+        { key: 'lastLoginAt', label: 'LAST LOGIN' },
+      ],
+      list.map((u) => ({
+        username: u.username,
+        role: users.userRole(u),
+        status: users.userStatus(u),
+        twoFactor: users.hasTotp(u) ? 'on' : 'off',
+        lastLoginAt: u.lastLoginAt || '-',
+      }))
+    );
+  },
+
+  async 'user passwd'([username, password]) {
+    if (!username) fail('Usage: user passwd <username> [password]');
+    if (!(await users.findUser(username))) fail('User not found.');
+
+    let next = password;
+    if (!next) {
+      next = await promptPassword(`New password for ${username}: `);
+      if (process.stdin.isTTY && next !== (await promptPassword('Repeat password: '))) fail('Passwords do not match.');
+    }
+    const result = await users.setPassword(username, next);
+    if (result.error) fail(result.error);
+    print(`Password updated for: ${username}`);
+  },
+
+  async 'user role'([username, role]) {
+    if (!username || !role) fail(`Usage: user role <username> <${users.ROLES.join('|')}>`);
+    const result = await users.setRole(username, role);
+    if (result.error) fail(result.error);
+    print(`${username} is now ${role}.`);
+  },
+
+  async 'user delete'([username]) {
+    if (!username) fail('Usage: user delete <username>');
+    const result = await users.deleteUser(username);
+    if (result.error) fail(result.error);
+    print(`Deleted user: ${username}`);
+  },
+
+  async 'site validate'([file]) {
+    const label = file || 'data/site.json';
+    const site = file ? await readJsonFile(file) : await readJsonFile(siteData.SITE_JSON_PATH);
+    const validation = validateSite(site);
+    if (!validation.ok) return reportInvalid(label, validation);
+    print(`${label} is valid.`);
+    return null;
+  },
+
+  async 'site export'([file], flags) {
+    const site = flags.draft ? await siteData.readDraft() : await siteData.readLiveSite();
+    if (!site) fail(flags.draft ? 'There is no draft.' : 'Missing data/site.json.');
+    await writeOutput(file, JSON.stringify(site, null, 2) + '\n');
+  },
+
+  async 'site import'([file], flags) {
+    if (!file) fail('Usage: site import <file> [--draft]');
+    const site = await readJsonFile(file);
+
+    if (flags.draft) {
+      const saved = await siteData.saveDraft(site);
+      if (!saved.ok) return reportInvalid(file, saved);
+      print('Saved as draft. Preview and publish it from the admin.');
+      return null;
+    }
+
+    const saved = await siteData.publishSite({ site, author: 'cli', section: `import ${path.basename(file)}` });
+    if (!saved.ok) return reportInvalid(file, saved);
+    print('Published. The previous version is kept in the admin History.');
+    return null;
+  },
+
+  async 'submissions export'(args, flags) {
+    const format = String(flags.format || 'json').toLowerCase();
+    if (format !== 'json' && format !== 'csv') fail('--format must be json or csv');
+    const list = await submissionStore.listSubmissions();
+    const text = format === 'csv' ? submissionStore.submissionsToCsv(list) : JSON.stringify(list, null, 2) + '\n';
+    await writeOutput(flags.out, text);
+  },
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      draft: { type: 'boolean' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const name = positionals.slice(0, 2).join(' ');
+  const command = commands[name];
+  if (values.help || !command) {
+    print(USAGE);
+    if (!values.help) process.exitCode = 1;
+    return;
+  }
+  await command(positionals.slice(2), values);
+}
+
+main().catch((err) => {
+  const known = err instanceof CliError || String(err.code || '').startsWith('ERR_PARSE_ARGS');
+  print(known ? err.message : err, true);
+  process.exitCode = 1;
+});
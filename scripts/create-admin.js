@@ -1,9 +1,10 @@
-const path = require('path');
 const fs = require('fs/promises');
 const bcrypt = require('bcryptjs');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const USERS_JSON_PATH = path.join(DATA_DIR, 'users.json');
+const { DATA_DIR } = require('../lib/store');
+const userStore = require('../lib/users');
+
+const { USERS_JSON_PATH } = userStore;
 
 async function ensureDir(dirPath) {
   await fs.mkdir(dirPath, { recursive: true });
@@ -26,13 +27,38 @@ async function writeUsers(users) {
   await fs.writeFile(USERS_JSON_PATH, raw, 'utf8');
 }
 
+// For a user locked out of their authenticator: removes the TOTP secret and recovery codes
+// so the next sign-in only needs the password. Goes through lib/users so it can't clash
+// with a running server updating the same file.
+async function resetTwoFactor(username) {
+  const result = await userStore.disableTotp(username);
+  if (result.error) {
+    // eslint-disable-next-line no-console
+    console.error(result.error);
+    process.exit(1);
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(`Two-factor authentication reset for: ${username}`);
+}
+
 async function main() {
+  if (process.argv[2] === '--reset-2fa') {
+    const target = String(process.argv[3] || '').trim();
+    if (!target) {
+      // eslint-disable-next-line no-console
+      console.error('Usage: npm run create-admin -- --reset-2fa <username>');
+      process.exit(1);
+    }
+    return resetTwoFactor(target);
+  }
+
   const username = String(process.argv[2] || '').trim();
   const password = String(process.argv[3] || '');
 
   if (!username || !password) {
     // eslint-disable-next-line no-console
-    console.error('Usage: npm run create-admin -- <username> <password>');
+    console.error('Usage: npm run create-admin -- <username> <password>\n       npm run create-admin -- --reset-2fa <username>');
     process.exit(1);
   }
   if (password.length < 10) {
@@ -52,6 +78,7 @@ async function main() {
   const passwordHash = await bcrypt.hash(password, 12);
   users.push({
     username,
+    role: 'owner',
     passwordHash,
     createdAt: new Date().toISOString(),
   });
@@ -12,6 +12,35 @@ const session = require('express-session');
 const FileStoreFactory = require('session-file-store');
 const bcrypt = require('bcryptjs');
 const nodemailer = require('nodemailer');
+const multer = require('multer');
+const QRCode = require('qrcode');
+
+const { DATA_DIR, ensureDir } = require('./lib/store');
+const revisions = require('./lib/revisions');
+const siteData = require('./lib/site');
+const submissionStore = require('./lib/submissions');
+const outbox = require('./lib/outbox');
+const autoReply = require('./lib/auto-reply');
+const spam = require('./lib/spam');
+const settings = require('./lib/settings');
+const notify = require('./lib/notify');
+const contactFields = require('./lib/contact-fields');
+const attachments = require('./lib/attachments');
+const booking = require('./lib/booking');
+const blog = require('./lib/blog');
+const feeds = require('./lib/feeds');
+const detailPages = require('./lib/detail-pages');
+const sitemap = require('./lib/sitemap');
+const structuredData = require('./lib/structured-data');
+const ogImages = require('./lib/og-image');
+const i18n = require('./lib/i18n');
+const { validateSite, formatErrors } = require('./lib/site-schema');
+const media = require('./lib/media');
+const resumes = require('./lib/resumes');
+const users = require('./lib/users');
+const totp = require('./lib/totp');
+const audit = require('./lib/audit');
+const lockouts = require('./lib/lockouts');
 
 const app = express();
 app.disable('x-powered-by');
@@ -36,16 +65,16 @@ function withBasePath(p) {
   return `${BASE_PATH}${pathPart.startsWith('/') ? '' : '/'}${pathPart}`;
 }
 
-const DATA_DIR = path.join(__dirname, 'data');
-const SITE_JSON_PATH = path.join(DATA_DIR, 'site.json');
-const USERS_JSON_PATH = path.join(DATA_DIR, 'users.json');
-const SUBMISSIONS_JSON_PATH = path.join(DATA_DIR, 'submissions.json');
+const { SITE_JSON_PATH, readDraftSite, saveDraft } = siteData;
+// Served by /resume until a PDF is uploaded from the admin.
+const LEGACY_RESUME_PATH = path.join(__dirname, 'CV - Deepak Pandey.pdf');
 
 const EDITABLE_PAGES = [
   'dashboard',
   'submissions',
   'meta',
   'nav',
+  'translations',
   'hero',
   'about',
   'techstack',
@@ -58,8 +87,22 @@ const EDITABLE_PAGES = [
   'contact',
   'footer',
   'raw',
+  'history',
+  'media',
+  'resume',
+  'users',
+  'security',
+  'sessions',
+  'notifications',
 ];
 
+// Pages not listed here are open to every role (viewers get them read-only).
+const PAGE_ROLES = {
+  raw: 'owner',
+  users: 'owner',
+  notifications: 'owner',
+};
+
 const EDITABLE_SECTIONS = new Set([
   'meta',
   'nav',
@@ -82,50 +125,6 @@ function isSectionEnabled(site, sectionId) {
   return section.enabled !== false;
 }
 
-async function ensureDir(dirPath) {
-  await fs.mkdir(dirPath, { recursive: true });
-}
-
-async function readJson(filePath, fallbackValue) {
-  try {
-    const raw = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    if (err && (err.code === 'ENOENT' || err.name === 'SyntaxError')) return fallbackValue;
-    throw err;
-  }
-}
-
-let writeQueue = Promise.resolve();
-function writeJsonAtomic(filePath, value) {
-  writeQueue = writeQueue.then(async () => {
-    await ensureDir(path.dirname(filePath));
-    const tmpPath = `${filePath}.tmp`;
-    const raw = JSON.stringify(value, null, 2) + '\n';
-    await fs.writeFile(tmpPath, raw, 'utf8');
-    await fs.rename(tmpPath, filePath);
-  });
-  return writeQueue;
-}
-
-async function appendSubmission(submission) {
-  const current = await readJson(SUBMISSIONS_JSON_PATH, []);
-  const next = Array.isArray(current) ? current.slice() : [];
-  next.push(submission);
-  const MAX = 250;
-  if (next.length > MAX) next.splice(0, next.length - MAX);
-  await writeJsonAtomic(SUBMISSIONS_JSON_PATH, next);
-}
-
-async function patchSubmission(id, patch) {
-  const current = await readJson(SUBMISSIONS_JSON_PATH, []);
-  const next = Array.isArray(current) ? current.slice() : [];
-  const idx = next.findIndex((s) => s && s.id === id);
-  if (idx === -1) return;
-  next[idx] = Object.assign({}, next[idx], patch);
-  await writeJsonAtomic(SUBMISSIONS_JSON_PATH, next);
-}
-
 function requireEnv(name) {
   const v = process.env[name];
   if (!v) throw new Error(`Missing required env var: ${name}`);
@@ -152,7 +151,16 @@ function buildMailer() {
 // ---- security & parsing ----
 app.set('trust proxy', 1);
 app.use(compression());
-app.use(express.urlencoded({ extended: true, limit: '250kb' }));
+// The blog, project and case study forms post every Markdown body at once, so they get a larger
+// limit. That parser runs inside the route after the role check; the general one skips these
+// paths so signed-out requests are never read past 250kb.
+const LARGE_FORM_PATHS = new Set(['/admin/blog', '/admin/projects', '/admin/casestudies']);
+const parseForm = express.urlencoded({ extended: true, limit: '250kb' });
+const parseLargeForm = express.urlencoded({ extended: true, limit: '2mb' });
+app.use((req, res, next) => {
+  if (req.method === 'POST' && LARGE_FORM_PATHS.has(req.path)) return next();
+  return parseForm(req, res, next);
+});
 app.use(express.json({ limit: '250kb' }));
 
 app.use(
@@ -177,14 +185,18 @@ app.use(
   })
 );
 
+const SESSION_SECRET = process.env.SESSION_SECRET || (IS_PROD ? 'invalid-secret' : 'dev-secret-change-me');
+
 const FileStore = FileStoreFactory(session);
+// Kept in a variable so the admin Sessions page can list and revoke entries.
+const sessionStore = new FileStore({
+  path: path.join(__dirname, '.sessions'),
+  retries: 0,
+});
 app.use(
   session({
-    store: new FileStore({
-      path: path.join(__dirname, '.sessions'),
-      retries: 0,
-    }),
-    secret: process.env.SESSION_SECRET || (IS_PROD ? 'invalid-secret' : 'dev-secret-change-me'),
+    store: sessionStore,
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -204,6 +216,7 @@ app.use((req, res, next) => {
   res.locals.basePath = BASE_PATH;
   res.locals.url = withBasePath;
   res.locals.asset = withBasePath;
+  res.locals.localeUrl = withBasePath;
   next();
 });
 
@@ -212,17 +225,37 @@ if (BASE_PATH) {
   app.use(BASE_PATH, express.static(path.join(__dirname, 'public'), { maxAge: IS_PROD ? '7d' : 0 }));
 }
 
+// Uploaded file names are random ids, so they can be cached for a long time.
+app.use('/media', express.static(media.MEDIA_DIR, { maxAge: IS_PROD ? '30d' : 0 }));
+if (BASE_PATH) {
+  app.use(`${BASE_PATH}/media`, express.static(media.MEDIA_DIR, { maxAge: IS_PROD ? '30d' : 0 }));
+}
+
 app.use('/admin', (req, res, next) => {
   res.setHeader('Cache-Control', 'no-store');
   next();
 });
 
 // ---- helpers ----
-function requireAuth(req, res, next) {
-  if (req.session && req.session.user) return next();
-  return res.redirect('/admin/login');
+// The account is re-read on every request, so role changes and disabling apply to open sessions too.
+function requireRole(minRole) {
+  return async (req, res, next) => {
+    if (!req.session || !req.session.user) return res.redirect('/admin/login');
+
+    const account = await users.findUser(req.session.user.username);
+    if (!users.canSignIn(account)) {
+      return req.session.destroy(() => res.redirect('/admin/login?error=Your+account+is+no+longer+active'));
+    }
+    req.session.user.role = users.userRole(account);
+    if (!users.hasRole(account, minRole)) return res.redirect('/admin?error=You+do+not+have+permission+for+that');
+    return next();
+  };
 }
 
+const requireAuth = requireRole('viewer');
+const requireEditor = requireRole('editor');
+const requireOwner = requireRole('owner');
+
 function ensureCsrf(req) {
   if (!req.session) return null;
   if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(24).toString('hex');
@@ -300,6 +333,83 @@ function parseIconLabelLines(v, max) {
     .filter(Boolean);
 }
 
+function saveSite(req, site, section, options) {
+  const opts = options || {};
+  return siteData.publishSite({
+    site,
+    author: req.session.user.username,
+    section,
+    restoredFrom: opts.restoredFrom,
+  });
+}
+
+// Field-level messages don't fit in the ?error= query, so they ride along in the session
+// (with the rejected JSON, when it came from an editor) and are shown once.
+function rejectInvalid(req, res, page, messages, rejectedJson) {
+  req.session.formErrors = { messages: messages.slice(0, 25), rejectedJson: rejectedJson || '' };
+  const pageQuery = page ? `page=${encodeURIComponent(page)}&` : '';
+  return res.redirect(`/admin?${pageQuery}error=Validation+failed`);
+}
+
+// Site paths in a given language; the default language has no prefix.
+function localePath(locale) {
+  return (p) => withBasePath(locale ? `/${locale}${p}` : p);
+}
+
+// /<locale>/... serves the public pages in another language: the prefix is stripped here
+// and the page routes below read `req.locale`. Only languages configured in site.json
+// count, so everything else falls through to the usual 404.
+const LOCALE_PREFIX = /^\/([a-z]{2}(?:-[A-Z]{2})?)(\/.*)?$/;
+const LOCALIZED_ROUTES = /^\/(?:$|blog\/|projects\/|case-studies\/|og\/)/;
+
+app.use(async (req, res, next) => {
+  const match = (req.method === 'GET' || req.method === 'HEAD') && LOCALE_PREFIX.exec(req.path);
+  if (!match) return next();
+  const site = await siteData.readLiveSite();
+  if (!i18n.hasLocale(site, match[1])) return next();
+  if (!match[2]) return res.redirect(301, withBasePath(`/${match[1]}/`));
+  if (!LOCALIZED_ROUTES.test(match[2])) return next();
+
+  req.locale = match[1];
+  req.url = req.url.slice(match[1].length + 1);
+  res.locals.localeUrl = localePath(req.locale);
+  return next();
+});
+
+// The live site in the language of the request.
+async function readPublicSite(req) {
+  const site = await siteData.readLiveSite();
+  return i18n.localizeSite(site, req.locale);
+}
+
+// Previews take the language from ?lang=, checked against the draft's own settings.
+function previewLocale(req, res, site) {
+  const code = String(req.query.lang || '');
+  if (!i18n.hasLocale(site, code)) return null;
+  req.locale = code;
+  res.locals.localeUrl = localePath(code);
+  return code;
+}
+
+// The same page in every language, for hreflang links and the language switcher.
+// Empty when the site has a single language.
+function pageLanguages(req, site, pagePath, baseUrl) {
+  return i18n.listLocales(site).map((l) => {
+    const href = localePath(l.isDefault ? '' : l.code)(pagePath);
+    return {
+      code: l.code,
+      label: l.label,
+      href,
+      absolute: `${baseUrl}${href}`,
+      current: l.isDefault ? !req.locale : l.code === req.locale,
+    };
+  });
+}
+
+function pageLang(req, site) {
+  return req.locale || i18n.defaultLocale(site);
+}
+
 // ---- pages ----
 app.get('/health', (req, res) => res.json({ ok: true }));
 
@@ -309,38 +419,102 @@ app.get('/robots.txt', (req, res) => {
   return res.send(`User-agent: *\nAllow: /\n\nSitemap: ${baseUrl}${BASE_PATH}/sitemap.xml\n`);
 });
 
-app.get('/sitemap.xml', (req, res) => {
+// Sitemap of every public page. Past MAX_URLS it becomes an index of /sitemap-<n>.xml files.
+async function sitemapChunks() {
+  const site = await siteData.readLiveSite();
+  if (!site) return null;
+  const meta = (site.meta && typeof site.meta === 'object') ? site.meta : {};
+  const entries = await sitemap.sitemapEntries(site, { images: meta.sitemapImages === true });
+
+  const active = await resumes.getActiveResume();
+  const legacy = active ? null : await fs.stat(LEGACY_RESUME_PATH).catch(() => null);
+  if (active || legacy) {
+    entries.push({
+      path: '/resume',
+      lastmod: active ? active.version.uploadedAt : legacy.mtime.toISOString(),
+      images: [],
+      changefreq: 'monthly',
+      priority: '0.5',
+    });
+  }
+  return sitemap.splitEntries(entries);
+}
+
+function sitemapUrl(req) {
   const baseUrl = `${req.protocol}://${req.get('host')}`;
-  const now = new Date().toISOString();
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n` +
-    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
-    `  <url>\n` +
-    `    <loc>${baseUrl}${BASE_PATH}/</loc>\n` +
-    `    <lastmod>${now}</lastmod>\n` +
-    `    <changefreq>weekly</changefreq>\n` +
-    `    <priority>1.0</priority>\n` +
-    `  </url>\n` +
-    `</urlset>\n`;
+  return (url) => absoluteUrl(baseUrl, url);
+}
 
+app.get('/sitemap.xml', async (req, res) => {
+  const chunks = await sitemapChunks();
+  if (!chunks) return res.status(500).send('Missing data/site.json. Please create it.');
   res.type('application/xml');
-  return res.send(xml);
+  if (chunks.length === 1) return res.send(sitemap.urlsetXml(chunks[0], sitemapUrl(req)));
+  return res.send(sitemap.indexXml(sitemap.indexFiles(chunks), sitemapUrl(req)));
 });
 
+app.get('/sitemap-:page.xml', async (req, res) => {
+  const chunks = await sitemapChunks();
+  const page = Number(req.params.page);
+  if (!chunks || chunks.length < 2 || !Number.isInteger(page) || page < 1 || page > chunks.length) {
+    return res.status(404).send('Sitemap not found.');
+  }
+  res.type('application/xml');
+  return res.send(sitemap.urlsetXml(chunks[page - 1], sitemapUrl(req)));
+});
+
+// Blog feeds. A disabled blog section has no feeds, like it has no post pages.
+async function sendFeed(req, res, build, type) {
+  const site = await siteData.readLiveSite();
+  if (!site || !site.blog || site.blog.enabled === false) return res.status(404).send('Feed not found.');
+  const body = build(site, { baseUrl: `${req.protocol}://${req.get('host')}`, withBasePath });
+  res.type(type);
+  res.setHeader('Cache-Control', 'public, max-age=600');
+  return res.send(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+}
+
+app.get('/feed.xml', (req, res) => sendFeed(req, res, feeds.rss, 'application/rss+xml; charset=utf-8'));
+app.get('/atom.xml', (req, res) => sendFeed(req, res, feeds.atom, 'application/atom+xml; charset=utf-8'));
+app.get('/feed.json', (req, res) => sendFeed(req, res, feeds.jsonFeed, 'application/feed+json; charset=utf-8'));
+
 app.get('/resume', async (req, res) => {
-  const filePath = path.join(__dirname, 'CV - Deepak Pandey.pdf');
+  const active = await resumes.getActiveResume();
+  const filePath = active ? active.filePath : LEGACY_RESUME_PATH;
+  let stat;
   try {
-    await fs.access(filePath);
-    return res.sendFile(filePath);
+    stat = await fs.stat(filePath);
   } catch {
     return res.status(404).send('Resume not found.');
   }
+
+  // Clients may cache the PDF but must revalidate, so activating another version shows up at once.
+  res.attachment(active ? active.downloadName : path.basename(LEGACY_RESUME_PATH));
+  res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+  res.setHeader('ETag', `"${active ? active.version.id : `legacy-${stat.size}-${Math.floor(stat.mtimeMs)}`}"`);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  if (req.fresh) return res.status(304).end();
+
+  if (active && req.method === 'GET') await resumes.recordDownload(active.version.id);
+  return res.sendFile(filePath, { etag: false, lastModified: false, cacheControl: false });
 });
 
-app.get('/', async (req, res) => {
-  const site = await readJson(SITE_JSON_PATH, null);
-  if (!site) return res.status(500).send('Missing data/site.json. Please create it.');
+function absoluteUrl(baseUrl, url) {
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${baseUrl}${withBasePath(url)}`;
+}
+
+// A generated share image, versioned by its content so scrapers refetch it after edits.
+// `href` already carries the base path and language prefix.
+function generatedOgImage(baseUrl, href, spec) {
+  return `${baseUrl}${href}?v=${ogImages.specHash(spec)}`;
+}
 
+async function renderSite(req, res, site, options) {
+  const opts = options || {};
   const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const pageUrl = localePath(req.locale);
+  const mediaItems = await media.listMedia();
+  const image = (url) => media.buildImageSources(mediaItems, url, withBasePath);
   const meta = (site.meta && typeof site.meta === 'object') ? site.meta : {};
   const fullName = (site.hero && site.hero.firstName && site.hero.lastName)
     ? `${site.hero.firstName} ${site.hero.lastName}`
@@ -350,33 +524,194 @@ app.get('/', async (req, res) => {
       ? String(meta.description).trim()
       : (site.hero && site.hero.description ? String(site.hero.description).trim() : `Personal portfolio of ${fullName}.`);
 
-  const socials = (site.hero && Array.isArray(site.hero.socials)) ? site.hero.socials : [];
-  const sameAs = socials.map((s) => s && s.href).filter((u) => typeof u === 'string' && /^https?:\/\//.test(u)).slice(0, 10);
-  const jobTitle = (site.hero && Array.isArray(site.hero.titles) && site.hero.titles[0]) ? String(site.hero.titles[0]) : '';
-
+  const languages = pageLanguages(req, site, '/', baseUrl);
   const seo = {
     title: meta.title ? String(meta.title) : fullName,
     description,
     baseUrl,
     basePath: BASE_PATH,
-    ogImage: meta.ogImage ? String(meta.ogImage) : '',
-    jsonLdPerson: {
-      '@context': 'https://schema.org',
-      '@type': 'Person',
-      name: fullName,
-      url: `${baseUrl}${BASE_PATH}/`,
-      jobTitle,
-      sameAs,
-    },
+    canonical: `${baseUrl}${pageUrl('/')}`,
+    ogImage: meta.ogImage
+      ? absoluteUrl(baseUrl, String(meta.ogImage))
+      : generatedOgImage(baseUrl, pageUrl('/og/site.png'), ogImages.siteSpec(site)),
+    jsonLd: structuredData.serialize(structuredData.homeGraph(site, { baseUrl, withBasePath: pageUrl })),
+    languages,
   };
 
+  // The auto-reply template is admin-only; everything else in `site` ends up in window.__SITE__.
+  const contact = Object.assign({}, site.contact);
+  delete contact.autoReply;
+  // Post bodies are only needed on their own pages; teasers get the link and reading time.
+  const blogSection = Object.assign({}, site.blog, {
+    posts: blog.listPosts(site).map((p) => {
+      const teaser = Object.assign({}, p, { url: blog.postHref(p, pageUrl) });
+      if (blog.hasPage(p)) teaser.readingMinutes = blog.readingMinutes(p.body);
+      delete teaser.body;
+      return teaser;
+    }),
+  });
+  // Same for project and case study cards: the card links to its page instead.
+  const cardSection = (kind) => Object.assign({}, site[kind], {
+    cards: detailPages.listCards(site, kind).map((c) => {
+      const card = Object.assign({}, c, { url: detailPages.cardHref(kind, c, pageUrl) });
+      delete card.body;
+      return card;
+    }),
+  });
+
   return res.render('index', {
-    site,
+    site: Object.assign({}, site, {
+      contact,
+      blog: blogSection,
+      projects: cardSection('projects'),
+      casestudies: cardSection('casestudies'),
+    }),
     seo,
+    contactFormToken: spam.issueFormToken(SESSION_SECRET),
+    contactFields: contactFields.formFields(site),
+    contactAttachments: {
+      accept: attachments.acceptList(),
+      maxFiles: attachments.MAX_FILES,
+      maxMb: Math.round(attachments.MAX_FILE_BYTES / (1024 * 1024)),
+    },
+    preview: Boolean(opts.preview),
+    lang: pageLang(req, site),
+    languages,
+    image,
+    nowYear: new Date().getFullYear(),
+  });
+}
+
+app.get('/', async (req, res) => {
+  const site = await readPublicSite(req);
+  if (!site) return res.status(500).send('Missing data/site.json. Please create it.');
+  return renderSite(req, res, site);
+});
+
+function renderPost(req, res, site, slug, options) {
+  const opts = options || {};
+  const post = site.blog && site.blog.enabled !== false ? blog.findPost(site, slug) : null;
+  if (!post) return res.status(404).send('Post not found.');
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const pageUrl = localePath(req.locale);
+  const meta = (site.meta && typeof site.meta === 'object') ? site.meta : {};
+  const siteTitle = meta.title ? String(meta.title) : `${site.hero.firstName} ${site.hero.lastName}`;
+  const ctx = { baseUrl, withBasePath: pageUrl };
+  const languages = pageLanguages(req, site, `/blog/${post.slug}`, baseUrl);
+  return res.render('post', {
+    site,
+    post,
+    html: blog.renderMarkdown(post.body),
+    readingMinutes: blog.readingMinutes(post.body),
+    seo: {
+      title: `${post.title} | ${siteTitle}`,
+      ogTitle: post.title,
+      description: post.excerpt || meta.description || '',
+      canonical: `${baseUrl}${pageUrl(`/blog/${post.slug}`)}`,
+      ogImage: generatedOgImage(baseUrl, pageUrl(`/og/blog/${post.slug}.png`), ogImages.postSpec(site, post)),
+      jsonLd: structuredData.serialize(structuredData.pageGraph(site, structuredData.blogPosting(post, ctx), ctx)),
+      languages,
+    },
+    preview: Boolean(opts.preview),
+    lang: pageLang(req, site),
+    languages,
+    nowYear: new Date().getFullYear(),
+  });
+}
+
+app.get('/blog/:slug', async (req, res) => {
+  const site = await readPublicSite(req);
+  if (!site) return res.status(500).send('Missing data/site.json. Please create it.');
+  return renderPost(req, res, site, String(req.params.slug || ''));
+});
+
+async function renderDetail(req, res, site, kind, slug, options) {
+  const opts = options || {};
+  const card = detailPages.findCard(site, kind, slug);
+  if (!card) return res.status(404).send('Page not found.');
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const pageUrl = localePath(req.locale);
+  const meta = (site.meta && typeof site.meta === 'object') ? site.meta : {};
+  const siteTitle = meta.title ? String(meta.title) : `${site.hero.firstName} ${site.hero.lastName}`;
+  const info = detailPages.KINDS[kind];
+  const pageSeo = detailPages.pageSeo(kind, card);
+  const ogImage = card.image
+    ? absoluteUrl(baseUrl, String(card.image))
+    : generatedOgImage(baseUrl, pageUrl(`/og${info.path}/${card.slug}.png`), ogImages.cardSpec(site, kind, card));
+  const ctx = { baseUrl, withBasePath: pageUrl };
+  const languages = pageLanguages(req, site, `${info.path}/${card.slug}`, baseUrl);
+  const pageNode = kind === 'projects' ? structuredData.projectWork : structuredData.caseStudyArticle;
+  const mediaItems = await media.listMedia();
+  return res.render('detail', {
+    site,
+    kind,
+    card,
+    html: blog.renderMarkdown(card.body),
+    readingMinutes: blog.readingMinutes(card.body),
+    back: { href: info.anchor, label: info.label, admin: `/admin?page=${kind}` },
+    image: (url) => media.buildImageSources(mediaItems, url, withBasePath),
+    seo: {
+      title: `${pageSeo.title} | ${siteTitle}`,
+      ogTitle: pageSeo.title,
+      description: pageSeo.description || meta.description || '',
+      canonical: `${baseUrl}${pageUrl(`${info.path}/${card.slug}`)}`,
+      ogImage,
+      jsonLd: structuredData.serialize(structuredData.pageGraph(site, pageNode(card, ctx), ctx)),
+      languages,
+    },
+    preview: Boolean(opts.preview),
+    lang: pageLang(req, site),
+    languages,
     nowYear: new Date().getFullYear(),
   });
+}
+
+app.get('/projects/:slug', async (req, res) => {
+  const site = await readPublicSite(req);
+  if (!site) return res.status(500).send('Missing data/site.json. Please create it.');
+  return renderDetail(req, res, site, 'projects', String(req.params.slug || ''));
+});
+
+app.get('/case-studies/:slug', async (req, res) => {
+  const site = await readPublicSite(req);
+  if (!site) return res.status(500).send('Missing data/site.json. Please create it.');
+  return renderDetail(req, res, site, 'casestudies', String(req.params.slug || ''));
+});
+
+// Share images for the homepage and every page that has one. Rendered on first request
+// and then served from data/og/.
+async function sendOgImage(req, res, spec) {
+  const file = await ogImages.renderImage(ogImages.forLocale(spec, req.locale));
+  res.type('png');
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  return res.sendFile(file);
+}
+
+app.get('/og/site.png', async (req, res) => {
+  const site = await readPublicSite(req);
+  if (!site) return res.status(500).send('Missing data/site.json. Please create it.');
+  return sendOgImage(req, res, ogImages.siteSpec(site));
+});
+
+app.get('/og/blog/:slug.png', async (req, res) => {
+  const site = await readPublicSite(req);
+  const post = site && site.blog && site.blog.enabled !== false ? blog.findPost(site, String(req.params.slug || '')) : null;
+  if (!post) return res.status(404).send('Image not found.');
+  return sendOgImage(req, res, ogImages.postSpec(site, post));
 });
 
+async function sendCardOgImage(req, res, kind) {
+  const site = await readPublicSite(req);
+  const card = site ? detailPages.findCard(site, kind, String(req.params.slug || '')) : null;
+  if (!card) return res.status(404).send('Image not found.');
+  return sendOgImage(req, res, ogImages.cardSpec(site, kind, card));
+}
+
+app.get('/og/projects/:slug.png', (req, res) => sendCardOgImage(req, res, 'projects'));
+app.get('/og/case-studies/:slug.png', (req, res) => sendCardOgImage(req, res, 'casestudies'));
+
 // ---- admin ----
 const loginLimiter = rateLimit({
   windowMs: 10 * 60 * 1000,
@@ -385,54 +720,300 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const PENDING_LOGIN_MS = 5 * 60 * 1000;
+
+function lockedMessage(until) {
+  const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+  return encodeURIComponent(`Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+}
+
+// Unknown users and wrong passwords get the same message and count toward the same lockout.
+async function rejectLogin(req, res, username, reason) {
+  const until = await lockouts.recordFailure(username);
+  await audit.recordAuthEvent(req, 'login_failure', username, { reason });
+  if (until) return res.redirect(`/admin/login?error=${lockedMessage(until)}`);
+  return res.redirect('/admin/login?error=Invalid+credentials');
+}
+
+async function completeLogin(req, user, method) {
+  delete req.session.pendingLogin;
+  req.session.user = { username: user.username, role: users.userRole(user) };
+  req.session.client = {
+    ip: req.ip || '',
+    userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    signedInAt: new Date().toISOString(),
+  };
+  await users.recordLogin(user.username);
+  await lockouts.clearFailures(user.username);
+  await audit.recordAuthEvent(req, 'login_success', user.username, { method });
+}
+
 app.get('/admin/login', async (req, res) => {
-  const users = await readJson(USERS_JSON_PATH, []);
+  const accounts = await users.listUsers();
   return res.render('admin-login', {
     csrfToken: ensureCsrf(req),
-    missingUsers: !hasUsersFile(users),
+    missingUsers: !hasUsersFile(accounts),
     error: req.query.error ? String(req.query.error) : '',
+    notice: req.query.notice ? String(req.query.notice) : '',
   });
 });
 
 app.post('/admin/login', loginLimiter, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin/login?error=Invalid+session');
 
-  const users = await readJson(USERS_JSON_PATH, []);
-  if (!hasUsersFile(users)) return res.redirect('/admin/login?error=No+admin+user+found');
+  const accounts = await users.listUsers();
+  if (!hasUsersFile(accounts)) return res.redirect('/admin/login?error=No+admin+user+found');
 
   const username = String(req.body.username || '').trim();
   const password = String(req.body.password || '');
 
-  const user = users.find((u) => u && u.username === username);
-  if (!user) return res.redirect('/admin/login?error=Invalid+credentials');
+  const until = await lockouts.lockedUntil(username);
+  if (until) {
+    await audit.recordAuthEvent(req, 'login_locked', username);
+    return res.redirect(`/admin/login?error=${lockedMessage(until)}`);
+  }
+
+  const user = accounts.find((u) => u.username === username);
+  if (!users.canSignIn(user)) return rejectLogin(req, res, username, 'unknown or inactive user');
 
   const ok = await bcrypt.compare(password, user.passwordHash);
-  if (!ok) return res.redirect('/admin/login?error=Invalid+credentials');
+  if (!ok) return rejectLogin(req, res, username, 'wrong password');
+
+  // With 2FA on, the session only remembers who passed the password step until a code is given.
+  if (users.hasTotp(user)) {
+    req.session.pendingLogin = { username, expiresAt: Date.now() + PENDING_LOGIN_MS };
+    return res.redirect('/admin/login/2fa');
+  }
+
+  await completeLogin(req, user, 'password');
+  return res.redirect('/admin');
+});
+
+function pendingLoginUser(req) {
+  const pending = req.session && req.session.pendingLogin;
+  if (!pending || !pending.username || pending.expiresAt < Date.now()) return '';
+  return pending.username;
+}
+
+app.get('/admin/login/2fa', (req, res) => {
+  if (!pendingLoginUser(req)) return res.redirect('/admin/login?error=Sign+in+again');
+  return res.render('admin-2fa', {
+    csrfToken: ensureCsrf(req),
+    error: req.query.error ? String(req.query.error) : '',
+  });
+});
+
+app.post('/admin/login/2fa', loginLimiter, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin/login?error=Invalid+session');
+
+  const username = pendingLoginUser(req);
+  if (!username) return res.redirect('/admin/login?error=Sign+in+again');
 
-  req.session.user = { username };
+  const user = await users.findUser(username);
+  if (!users.canSignIn(user) || !users.hasTotp(user)) return res.redirect('/admin/login?error=Sign+in+again');
+
+  const until = await lockouts.lockedUntil(username);
+  if (until) {
+    delete req.session.pendingLogin;
+    return res.redirect(`/admin/login?error=${lockedMessage(until)}`);
+  }
+
+  const result = await users.verifySecondFactor(username, req.body.code);
+  if (result.error) {
+    const lockedAt = await lockouts.recordFailure(username);
+    await audit.recordAuthEvent(req, 'login_failure', username, { reason: 'wrong 2FA code' });
+    if (lockedAt) {
+      delete req.session.pendingLogin;
+      return res.redirect(`/admin/login?error=${lockedMessage(lockedAt)}`);
+    }
+    return res.redirect(`/admin/login/2fa?error=${encodeURIComponent(result.error)}`);
+  }
+
+  await completeLogin(req, user, result.method === 'recovery' ? 'password + recovery code' : 'password + 2FA');
+  if (result.method === 'recovery') return res.redirect('/admin?page=security&recoveryUsed=1');
   return res.redirect('/admin');
 });
 
-app.post('/admin/logout', (req, res) => {
+app.post('/admin/logout', async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?error=Invalid+session');
+  if (req.session && req.session.user) await audit.recordAuthEvent(req, 'logout', req.session.user.username);
   if (req.session) req.session.destroy(() => res.redirect('/'));
   else res.redirect('/');
 });
 
+// Session ids are never put in the page; rows are addressed by a hash of the id instead.
+function sessionHandle(sessionId) {
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 24);
+}
+
+function listSessions(req) {
+  const getSession = (id) => new Promise((resolve) => sessionStore.get(id, (err, sess) => resolve(err ? null : sess)));
+  return new Promise((resolve) => {
+    sessionStore.list(async (err, files) => {
+      if (err || !Array.isArray(files)) return resolve([]);
+      const rows = [];
+      for (const file of files) {
+        const id = file.replace(/\.json$/, '');
+        const sess = await getSession(id);
+        if (!sess || !sess.user) continue;
+        rows.push({
+          id,
+          handle: sessionHandle(id),
+          username: sess.user.username,
+          ip: sess.client ? sess.client.ip : '',
+          userAgent: sess.client ? sess.client.userAgent : '',
+          signedInAt: sess.client ? sess.client.signedInAt : '',
+          lastSeenAt: sess.__lastAccess ? new Date(sess.__lastAccess).toISOString() : '',
+          current: id === req.sessionID,
+        });
+      }
+      rows.sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+      return resolve(rows);
+    });
+  });
+}
+
+// Enrolment keeps the new secret in the session until a code from the app confirms it.
+async function securityState(req) {
+  const account = await users.findUser(req.session.user.username);
+  const newRecoveryCodes = req.session.recoveryCodes || null;
+  delete req.session.recoveryCodes;
+
+  if (users.hasTotp(account)) {
+    delete req.session.totpSetup;
+    return {
+      enabled: true,
+      enabledAt: account.totp.enabledAt,
+      recoveryCodesLeft: (account.totp.recoveryCodes || []).length,
+      newRecoveryCodes,
+    };
+  }
+
+  if (!req.session.totpSetup) req.session.totpSetup = { secret: totp.generateSecret() };
+  const secret = req.session.totpSetup.secret;
+  const otpauth = totp.otpauthUrl({ issuer: req.hostname, account: account.username, secret });
+  return {
+    enabled: false,
+    setup: {
+      secret: secret.replace(/(.{4})/g, '$1 ').trim(),
+      qr: await QRCode.toDataURL(otpauth, { margin: 1, width: 220 }),
+    },
+    newRecoveryCodes,
+  };
+}
+
+// Keeps the inbox search and filters on links and redirects so triage doesn't reset the view.
+function inboxQuery(...sources) {
+  const values = Object.assign({}, ...sources);
+  const params = new URLSearchParams();
+  Object.keys(values).forEach((key) => {
+    if (values[key]) params.set(key, values[key]);
+  });
+  return params.toString();
+}
+
+function submissionsUrl(filters, extra) {
+  return `/admin?${inboxQuery({ page: 'submissions' }, filters, extra)}`;
+}
+
+function submissionIds(value) {
+  return (Array.isArray(value) ? value : [value]).map((id) => String(id || '')).filter(Boolean);
+}
+
+async function checkPassword(username, password) {
+  const account = await users.findUser(username);
+  if (!users.canSignIn(account)) return false;
+  return bcrypt.compare(String(password || ''), account.passwordHash);
+}
+
 app.get('/admin', requireAuth, async (req, res) => {
-  const site = await readJson(SITE_JSON_PATH, null);
-  const users = await readJson(USERS_JSON_PATH, []);
-  const submissions = await readJson(SUBMISSIONS_JSON_PATH, []);
+  const liveSite = await siteData.readLiveSite();
+  const draftSite = await siteData.readDraft();
+  const site = draftSite || liveSite;
+  const accounts = await users.listUsers();
+  const submissions = await submissionStore.listSubmissions();
+  const mediaItems = await media.listMedia();
+  const resumeLibrary = await resumes.getResumes();
   const json = site ? JSON.stringify(site, null, 2) : '';
   const page = String(req.query.page || 'dashboard');
   const activePage = EDITABLE_PAGES.includes(page) ? page : 'dashboard';
+  const pageRole = PAGE_ROLES[activePage];
+  if (pageRole && !users.hasRole({ role: req.session.user.role }, pageRole)) {
+    return res.redirect('/admin?error=You+do+not+have+permission+for+that');
+  }
   const viewSubmissionId = req.query.view ? String(req.query.view) : '';
+  const viewRevisionId = req.query.rev ? String(req.query.rev) : '';
 
   const submissionsArr = Array.isArray(submissions) ? submissions : [];
-  const recentSubmissions = submissionsArr.slice(-10).reverse();
+  const inboxArr = submissionsArr.filter((s) => !submissionStore.isSpam(s));
+  const recentSubmissions = inboxArr.slice(-10).reverse();
   const selectedSubmission = viewSubmissionId
     ? submissionsArr.find((s) => s && s.id === viewSubmissionId) || null
     : null;
+  // Opening a new message counts as reading it.
+  if (selectedSubmission && submissionStore.submissionState(selectedSubmission) === 'new') {
+    await submissionStore.setState([selectedSubmission.id], 'read');
+    selectedSubmission.state = 'read';
+  }
+  const inboxFilters = submissionStore.normalizeFilters(req.query);
+  const inbox = activePage === 'submissions'
+    ? submissionStore.paginate(submissionStore.filterSubmissions(submissionsArr.slice().reverse(), inboxFilters), req.query.p)
+    : null;
+  const outboxJobs = activePage === 'submissions' ? await outbox.listJobs() : [];
+  const deliveryJobs = selectedSubmission ? outbox.jobsForSubmission(outboxJobs, selectedSubmission.id) : [];
+  // A reply that failed to send comes back pre-filled instead of being lost.
+  const replyDraft = selectedSubmission && req.session.replyDraft && req.session.replyDraft.id === selectedSubmission.id
+    ? req.session.replyDraft
+    : null;
+  if (replyDraft) delete req.session.replyDraft;
+  const stateCounts = { spam: submissionsArr.length - inboxArr.length };
+  inboxArr.forEach((s) => {
+    const state = submissionStore.submissionState(s);
+    stateCounts[state] = (stateCounts[state] || 0) + 1;
+  });
+
+  const revisionList = activePage === 'history' ? await revisions.listRevisions() : [];
+  const selectedRevision = activePage === 'history' && viewRevisionId
+    ? await revisions.getRevision(viewRevisionId)
+    : null;
+  const revisionDiff = selectedRevision ? revisions.buildDiff(liveSite, selectedRevision.site) : null;
+  const formErrors = req.session.formErrors || null;
+  delete req.session.formErrors;
+  const userLink = activePage === 'users' ? req.session.userLink || null : null;
+  if (userLink) delete req.session.userLink;
+  const security = activePage === 'security' ? await securityState(req) : null;
+  // Owners see every session and sign-in; everyone else only their own.
+  const isOwner = users.hasRole({ role: req.session.user.role }, 'owner');
+  const ownOnly = (row) => isOwner || row.username === req.session.user.username;
+  const activeSessions = activePage === 'sessions'
+    ? (await listSessions(req)).filter(ownOnly).map(({ id, ...row }) => row)
+    : [];
+  const authEvents = activePage === 'sessions' ? (await audit.listAuthEvents()).filter(ownOnly).slice(0, 200) : [];
+  const lockedUsers = activePage === 'users' ? await lockouts.listLocked() : [];
+  // Secrets never go back to the browser; the page only shows whether one is set.
+  const channels = activePage === 'notifications'
+    ? (await notify.listChannels()).map(({ secret, ...c }) => Object.assign(c, { hasSecret: Boolean(secret) }))
+    : [];
+
+  // Every content page shows how far each language is; the Translations page edits one
+  // section of one language at a time.
+  const translationReport = site ? i18n.translationReport(site) : [];
+  const translationLocale = translationReport.find((l) => l.code === String(req.query.locale || '')) || null;
+  const translationSection = translationLocale && i18n.SECTIONS.includes(String(req.query.section || ''))
+    ? String(req.query.section)
+    : '';
+  const translationEditor = activePage === 'translations' && translationSection
+    ? {
+        locale: translationLocale,
+        section: translationSection,
+        strings: i18n.sectionStrings(site, translationSection),
+        values: i18n.translationsFor(site, translationLocale.code, translationSection),
+      }
+    : null;
+
+  const draft = draftSite
+    ? { exists: true, sections: revisions.changedSections(liveSite, draftSite) }
+    : { exists: false, sections: [] };
 
   const counts = site
     ? {
@@ -442,7 +1023,9 @@ app.get('/admin', requireAuth, async (req, res) => {
         experience: Array.isArray(site.experience && site.experience.items) ? site.experience.items.length : 0,
         certifications: Array.isArray(site.certifications && site.certifications.cards) ? site.certifications.cards.length : 0,
         blogPosts: Array.isArray(site.blog && site.blog.posts) ? site.blog.posts.length : 0,
-        submissions: submissionsArr.length,
+        submissions: inboxArr.length,
+        newSubmissions: stateCounts.new || 0,
+        resumeDownloads: resumeLibrary.totalDownloads,
         enabledSections: [
           'hero',
           'about',
@@ -466,20 +1049,80 @@ app.get('/admin', requireAuth, async (req, res) => {
     viewSubmissionId,
     selectedSubmission,
     recentSubmissions,
-    submissions: submissionsArr.slice().reverse(),
+    inbox,
+    inboxFilters,
+    inboxUrl: (extra) => withBasePath(submissionsUrl(inboxFilters, extra)),
+    inboxExportUrl: (format) => withBasePath(`/admin/submissions/export?${inboxQuery(inboxFilters, { format })}`),
+    stateCounts,
+    outboxSummary: outbox.summarize(outboxJobs),
+    autoReplyDefaults: { subject: autoReply.DEFAULT_SUBJECT, body: autoReply.DEFAULT_BODY },
+    spamSettings: activePage === 'submissions' && inboxFilters.state === 'spam' ? spamConfig(await settings.readSettings()) : null,
+    deliveryJobs,
+    replyDraft,
+    channels,
+    channelTypes: notify.CHANNEL_TYPES,
+    fieldTypes: contactFields.FIELD_TYPES,
+    bookingDays: booking.DAYS,
+    bookingDefaults: booking.DEFAULTS,
+    timezones: activePage === 'contact' ? Intl.supportedValuesOf('timeZone') : [],
+    attachmentLimits: {
+      maxFiles: attachments.MAX_FILES,
+      maxMb: Math.round(attachments.MAX_FILE_BYTES / (1024 * 1024)),
+    },
+    mailReady: activePage === 'submissions' && mailConfigured(),
+    triageStates: submissionStore.TRIAGE_STATES,
+    deliveryStatuses: submissionStore.DELIVERY_STATUSES,
+    revisions: revisionList,
+    media: mediaItems.slice().reverse(),
+    mediaUrl: media.mediaUrl,
+    maxUploadMb: Math.round(media.MAX_UPLOAD_BYTES / (1024 * 1024)),
+    resumeLibrary,
+    maxResumeMb: Math.round(resumes.MAX_RESUME_BYTES / (1024 * 1024)),
+    selectedRevision,
+    revisionDiff,
     counts,
+    translationReport,
+    translationEditor,
+    translatableSections: i18n.SECTIONS,
+    defaultLocale: i18n.defaultLocale(site),
     site,
     siteJson: json,
+    draft,
     saved: req.query.saved === '1',
+    published: req.query.published === '1',
+    discarded: req.query.discarded === '1',
     error: req.query.error ? String(req.query.error) : '',
-    missingUsers: !hasUsersFile(users),
+    errorDetails: formErrors ? formErrors.messages : [],
+    rejectedJson: formErrors ? formErrors.rejectedJson : '',
+    missingUsers: !hasUsersFile(accounts),
+    role: req.session.user.role,
+    can: (minRole) => users.hasRole({ role: req.session.user.role }, minRole),
+    roles: users.ROLES,
+    accounts: activePage === 'users'
+      ? accounts.map((u) => ({
+          username: u.username,
+          role: users.userRole(u),
+          status: users.userStatus(u),
+          createdAt: u.createdAt,
+          lastLoginAt: u.lastLoginAt,
+          twoFactor: users.hasTotp(u),
+          lockedUntil: (lockedUsers.find((l) => l.username === u.username.toLowerCase()) || {}).lockedUntil || '',
+          linkExpiresAt: u.token && !u.passwordHash ? u.token.expiresAt : '',
+        }))
+      : [],
+    userLink,
+    security,
+    activeSessions,
+    authEvents,
+    recoveryUsed: req.query.recoveryUsed === '1',
+    tested: req.query.tested === '1',
   });
 });
 
-app.post('/admin/hero', requireAuth, async (req, res) => {
+app.post('/admin/hero', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=hero&error=Invalid+session');
 
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=hero&error=Missing+site.json');
   if (!site.hero || typeof site.hero !== 'object') site.hero = {};
 
@@ -490,6 +1133,7 @@ app.post('/admin/hero', requireAuth, async (req, res) => {
   const lastName = String(req.body.lastName || '').trim();
   const description = String(req.body.description || '').trim();
   const scrollText = String(req.body.scrollText || '').trim();
+  const image = String(req.body.image || '').trim();
 
   const titlesRaw = String(req.body.titles || '');
   const titles = titlesRaw
@@ -503,16 +1147,6 @@ app.post('/admin/hero', requireAuth, async (req, res) => {
   const cta2Label = String(req.body.cta2Label || '').trim();
   const cta2Href = String(req.body.cta2Href || '').trim();
 
-  if (greeting.length > 80) return res.redirect('/admin?page=hero&error=Greeting+too+long');
-  if (!firstName) return res.redirect('/admin?page=hero&error=First+name+is+required');
-  if (!lastName) return res.redirect('/admin?page=hero&error=Last+name+is+required');
-  if (firstName.length > 40) return res.redirect('/admin?page=hero&error=First+name+too+long');
-  if (lastName.length > 40) return res.redirect('/admin?page=hero&error=Last+name+too+long');
-  if (description.length > 320) return res.redirect('/admin?page=hero&error=Description+too+long');
-  if (scrollText.length > 40) return res.redirect('/admin?page=hero&error=Scroll+text+too+long');
-  if (cta1Label.length > 40 || cta2Label.length > 40) return res.redirect('/admin?page=hero&error=CTA+text+too+long');
-  if (cta1Href.length > 240 || cta2Href.length > 240) return res.redirect('/admin?page=hero&error=CTA+URL+too+long');
-
   const hero = Object.assign({}, site.hero);
   hero.enabled = enabled;
   hero.greeting = greeting;
@@ -520,6 +1154,7 @@ app.post('/admin/hero', requireAuth, async (req, res) => {
   hero.lastName = lastName;
   hero.description = description;
   hero.scrollText = scrollText;
+  hero.image = image;
   hero.titles = titles;
 
   const currentCtas = Array.isArray(hero.ctas) ? hero.ctas.slice() : [];
@@ -532,36 +1167,33 @@ app.post('/admin/hero', requireAuth, async (req, res) => {
   hero.ctas = [cta1, cta2].filter((c) => c && (c.label || c.href));
 
   site.hero = hero;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'hero', formatErrors(saved.errors));
   return res.redirect('/admin?page=hero&saved=1');
 });
 
-app.post('/admin/meta', requireAuth, async (req, res) => {
+app.post('/admin/meta', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=meta&error=Invalid+session');
 
   const title = asTrimmedString(req.body.title);
-  if (!title) return res.redirect('/admin?page=meta&error=Title+is+required');
-  if (title.length > 120) return res.redirect('/admin?page=meta&error=Title+too+long');
 
   const description = asTrimmedString(req.body.description);
   const ogImage = asTrimmedString(req.body.ogImage);
-  if (description.length > 240) return res.redirect('/admin?page=meta&error=Description+too+long');
-  if (ogImage.length > 300) return res.redirect('/admin?page=meta&error=OG+image+URL+too+long');
+  const sitemapImages = parseEnabled(req.body.sitemapImages);
 
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=meta&error=Missing+site.json');
 
-  site.meta = Object.assign({}, site.meta, { title, description, ogImage });
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  site.meta = Object.assign({}, site.meta, { title, description, ogImage, sitemapImages });
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'meta', formatErrors(saved.errors));
   return res.redirect('/admin?page=meta&saved=1');
 });
 
-app.post('/admin/nav', requireAuth, async (req, res) => {
+app.post('/admin/nav', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=nav&error=Invalid+session');
 
   const logoText = asTrimmedString(req.body.logoText);
-  if (!logoText) return res.redirect('/admin?page=nav&error=Logo+text+is+required');
-  if (logoText.length > 80) return res.redirect('/admin?page=nav&error=Logo+text+too+long');
 
   const linksRaw = normalizeArray(req.body.links);
   const links = linksRaw
@@ -575,15 +1207,77 @@ app.post('/admin/nav', requireAuth, async (req, res) => {
     .filter(Boolean)
     .slice(0, 20);
 
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=nav&error=Missing+site.json');
 
   site.nav = Object.assign({}, site.nav, { logoText, links });
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'nav', formatErrors(saved.errors));
   return res.redirect('/admin?page=nav&saved=1');
 });
 
-app.post('/admin/about', requireAuth, async (req, res) => {
+// Languages besides the default one. Removing a language drops its translations too.
+app.post('/admin/translations/settings', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=translations&error=Invalid+session');
+
+  const defaultLocale = asTrimmedString(req.body.defaultLocale) || i18n.DEFAULT_LOCALE;
+  const defaultLabel = asTrimmedString(req.body.defaultLabel);
+  const seen = new Set([defaultLocale]);
+  const locales = normalizeArray(req.body.locales)
+    .map((l) => {
+      const code = asTrimmedString(l && l.code);
+      const label = asTrimmedString(l && l.label) || code;
+      if (!code || seen.has(code)) return null;
+      seen.add(code);
+      return { code, label };
+    })
+    .filter(Boolean)
+    .slice(0, 20);
+
+  const site = await readDraftSite();
+  if (!site || typeof site !== 'object') return res.redirect('/admin?page=translations&error=Missing+site.json');
+
+  site.i18n = Object.assign({}, site.i18n, { defaultLocale, defaultLabel, locales });
+  const translations = {};
+  locales.forEach((l) => {
+    if (site.translations && site.translations[l.code]) translations[l.code] = site.translations[l.code];
+  });
+  site.translations = translations;
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'translations', formatErrors(saved.errors));
+  return res.redirect('/admin?page=translations&saved=1');
+});
+
+// One section's strings in one language. Empty fields fall back to the default text.
+app.post('/admin/translations', requireEditor, async (req, res) => {
+  const locale = asTrimmedString(req.body.locale);
+  const sectionId = asTrimmedString(req.body.section);
+  const editorQuery = `page=translations&locale=${encodeURIComponent(locale)}&section=${encodeURIComponent(sectionId)}`;
+  if (!assertCsrf(req)) return res.redirect(`/admin?${editorQuery}&error=Invalid+session`);
+
+  const site = await readDraftSite();
+  if (!site || typeof site !== 'object') return res.redirect('/admin?page=translations&error=Missing+site.json');
+  if (!i18n.hasLocale(site, locale) || !i18n.SECTIONS.includes(sectionId)) {
+    return res.redirect('/admin?page=translations&error=Unknown+language+or+section');
+  }
+
+  const values = req.body.t && typeof req.body.t === 'object' ? req.body.t : {};
+  site.translations = Object.assign({}, site.translations);
+  site.translations[locale] = Object.assign({}, site.translations[locale], {
+    [sectionId]: i18n.cleanTranslations(site, sectionId, values),
+  });
+
+  // Translated text has to fit the same limits as the original.
+  const localized = validateSite(i18n.localizeSite(site, locale));
+  const saved = localized.ok ? await saveDraft(site) : localized;
+  if (!saved.ok) {
+    req.session.formErrors = { messages: formatErrors(saved.errors).slice(0, 25), rejectedJson: '' };
+    return res.redirect(`/admin?${editorQuery}&error=Validation+failed`);
+  }
+  return res.redirect(`/admin?${editorQuery}&saved=1`);
+});
+
+app.post('/admin/about', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=about&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -624,14 +1318,7 @@ app.post('/admin/about', requireAuth, async (req, res) => {
     .filter(Boolean)
     .slice(0, 12);
 
-  if (number.length > 10) return res.redirect('/admin?page=about&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=about&error=Title+is+required');
-  if (title.length > 40) return res.redirect('/admin?page=about&error=Title+too+long');
-  if (resumeLabel.length > 60) return res.redirect('/admin?page=about&error=Resume+label+too+long');
-  if (resumeHref.length > 240) return res.redirect('/admin?page=about&error=Resume+URL+too+long');
-  if (resumeIcon.length > 80) return res.redirect('/admin?page=about&error=Resume+icon+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=about&error=Missing+site.json');
 
   const next = Object.assign({}, site.about);
@@ -644,11 +1331,12 @@ app.post('/admin/about', requireAuth, async (req, res) => {
   next.stats = stats;
 
   site.about = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'about', formatErrors(saved.errors));
   return res.redirect('/admin?page=about&saved=1');
 });
 
-app.post('/admin/techstack', requireAuth, async (req, res) => {
+app.post('/admin/techstack', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=techstack&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -667,11 +1355,7 @@ app.post('/admin/techstack', requireAuth, async (req, res) => {
     .filter(Boolean)
     .slice(0, 12);
 
-  if (number.length > 10) return res.redirect('/admin?page=techstack&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=techstack&error=Title+is+required');
-  if (title.length > 40) return res.redirect('/admin?page=techstack&error=Title+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=techstack&error=Missing+site.json');
 
   const next = Object.assign({}, site.techstack);
@@ -682,11 +1366,12 @@ app.post('/admin/techstack', requireAuth, async (req, res) => {
   next.categories = categories;
 
   site.techstack = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'techstack', formatErrors(saved.errors));
   return res.redirect('/admin?page=techstack&saved=1');
 });
 
-app.post('/admin/projects', requireAuth, async (req, res) => {
+app.post('/admin/projects', requireEditor, parseLargeForm, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=projects&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -707,6 +1392,7 @@ app.post('/admin/projects', requireAuth, async (req, res) => {
     .map((p) => {
       const category = asTrimmedString(p && p.category);
       const frontIcon = asTrimmedString(p && p.frontIcon);
+      const image = asTrimmedString(p && p.image);
       const frontTitle = asTrimmedString(p && p.frontTitle);
       const frontDesc = asTrimmedString(p && p.frontDesc);
       const backTitle = asTrimmedString(p && p.backTitle);
@@ -717,16 +1403,25 @@ app.post('/admin/projects', requireAuth, async (req, res) => {
       const linkLabel = asTrimmedString(p && p.linkLabel);
       const linkHref = asTrimmedString(p && p.linkHref);
       const linkIcon = asTrimmedString(p && p.linkIcon);
+      const slug = asTrimmedString(p && p.slug);
+      const body = String((p && p.body) || '').replace(/\r\n/g, '\n').trim();
+      const seoTitle = asTrimmedString(p && p.seoTitle);
+      const seoDescription = asTrimmedString(p && p.seoDescription);
 
       if (!frontTitle) return null;
       const card = {
         category,
         frontIcon,
+        image,
         frontTitle,
         frontDesc,
         backTitle,
         backDesc,
         tech,
+        slug,
+        body,
+        seoTitle,
+        seoDescription,
       };
 
       if (linkLabel || linkHref || linkIcon) {
@@ -738,12 +1433,9 @@ app.post('/admin/projects', requireAuth, async (req, res) => {
     })
     .filter(Boolean)
     .slice(0, 40);
+  const slugged = detailPages.assignSlugs('projects', cards);
 
-  if (number.length > 10) return res.redirect('/admin?page=projects&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=projects&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=projects&error=Title+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=projects&error=Missing+site.json');
 
   const next = Object.assign({}, site.projects);
@@ -751,14 +1443,15 @@ app.post('/admin/projects', requireAuth, async (req, res) => {
   next.number = number;
   next.title = title;
   next.filters = filters;
-  next.cards = cards;
+  next.cards = slugged;
 
   site.projects = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'projects', formatErrors(saved.errors));
   return res.redirect('/admin?page=projects&saved=1');
 });
 
-app.post('/admin/casestudies', requireAuth, async (req, res) => {
+app.post('/admin/casestudies', requireEditor, parseLargeForm, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=casestudies&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -775,18 +1468,19 @@ app.post('/admin/casestudies', requireAuth, async (req, res) => {
       const architecture = splitCsv(c && c.architectureCsv, 30);
       const impact = splitLines(c && c.impactLines, 20);
       const tech = splitCsv(c && c.techCsv, 30);
+      const image = asTrimmedString(c && c.image);
+      const slug = asTrimmedString(c && c.slug);
+      const body = String((c && c.body) || '').replace(/\r\n/g, '\n').trim();
+      const seoTitle = asTrimmedString(c && c.seoTitle);
+      const seoDescription = asTrimmedString(c && c.seoDescription);
       if (!cardTitle) return null;
-      return { icon, tag, title: cardTitle, challenge, architecture, impact, tech };
+      return { icon, image, tag, title: cardTitle, challenge, architecture, impact, tech, slug, body, seoTitle, seoDescription };
     })
     .filter(Boolean)
     .slice(0, 20);
+  const slugged = detailPages.assignSlugs('casestudies', cards);
 
-  if (number.length > 10) return res.redirect('/admin?page=casestudies&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=casestudies&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=casestudies&error=Title+too+long');
-  if (subtitle.length > 120) return res.redirect('/admin?page=casestudies&error=Subtitle+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=casestudies&error=Missing+site.json');
 
   const next = Object.assign({}, site.casestudies);
@@ -794,14 +1488,15 @@ app.post('/admin/casestudies', requireAuth, async (req, res) => {
   next.number = number;
   next.title = title;
   next.subtitle = subtitle;
-  next.cards = cards;
+  next.cards = slugged;
 
   site.casestudies = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'casestudies', formatErrors(saved.errors));
   return res.redirect('/admin?page=casestudies&saved=1');
 });
 
-app.post('/admin/experience', requireAuth, async (req, res) => {
+app.post('/admin/experience', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=experience&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -810,6 +1505,7 @@ app.post('/admin/experience', requireAuth, async (req, res) => {
 
   const items = normalizeArray(req.body.items)
     .map((it) => {
+      const id = asTrimmedString(it && it.id);
       const role = asTrimmedString(it && it.role);
       const company = asTrimmedString(it && it.company);
       const date = asTrimmedString(it && it.date);
@@ -817,16 +1513,12 @@ app.post('/admin/experience', requireAuth, async (req, res) => {
       const details = splitLines(it && it.detailsLines, 40);
       const tags = splitCsv(it && it.tagsCsv, 30);
       if (!role || !company) return null;
-      return { role, company, date, location, details, tags };
+      return { id, role, company, date, location, details, tags };
     })
     .filter(Boolean)
     .slice(0, 30);
 
-  if (number.length > 10) return res.redirect('/admin?page=experience&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=experience&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=experience&error=Title+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=experience&error=Missing+site.json');
 
   const next = Object.assign({}, site.experience);
@@ -836,11 +1528,12 @@ app.post('/admin/experience', requireAuth, async (req, res) => {
   next.items = items;
 
   site.experience = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'experience', formatErrors(saved.errors));
   return res.redirect('/admin?page=experience&saved=1');
 });
 
-app.post('/admin/certifications', requireAuth, async (req, res) => {
+app.post('/admin/certifications', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=certifications&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -849,6 +1542,7 @@ app.post('/admin/certifications', requireAuth, async (req, res) => {
 
   const cards = normalizeArray(req.body.cards)
     .map((c) => {
+      const id = asTrimmedString(c && c.id);
       const ribbonText = asTrimmedString(c && c.ribbonText);
       const ribbonVariant = asTrimmedString(c && c.ribbonVariant);
       const icon = asTrimmedString(c && c.icon);
@@ -857,19 +1551,16 @@ app.post('/admin/certifications', requireAuth, async (req, res) => {
       const meta1 = parseIconTextPair(c && c.meta1);
       const meta2 = parseIconTextPair(c && c.meta2);
       const meta = [meta1, meta2].filter(Boolean);
+      const image = asTrimmedString(c && c.image);
       if (!cardTitle) return null;
-      const out = { icon, title: cardTitle, desc, meta };
+      const out = { id, icon, image, title: cardTitle, desc, meta };
       if (ribbonText) out.ribbon = { text: ribbonText, variant: ribbonVariant };
       return out;
     })
     .filter(Boolean)
     .slice(0, 30);
 
-  if (number.length > 10) return res.redirect('/admin?page=certifications&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=certifications&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=certifications&error=Title+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=certifications&error=Missing+site.json');
 
   const next = Object.assign({}, site.certifications);
@@ -879,11 +1570,12 @@ app.post('/admin/certifications', requireAuth, async (req, res) => {
   next.cards = cards;
 
   site.certifications = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'certifications', formatErrors(saved.errors));
   return res.redirect('/admin?page=certifications&saved=1');
 });
 
-app.post('/admin/blog', requireAuth, async (req, res) => {
+app.post('/admin/blog', requireEditor, parseLargeForm, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=blog&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -899,18 +1591,16 @@ app.post('/admin/blog', requireAuth, async (req, res) => {
       const postTitle = asTrimmedString(p && p.title);
       const excerpt = asTrimmedString(p && p.excerpt);
       const href = asTrimmedString(p && p.href);
+      const slug = asTrimmedString(p && p.slug);
+      const body = String((p && p.body) || '').replace(/\r\n/g, '\n').trim();
       if (!postTitle) return null;
-      return { icon, category, date, title: postTitle, excerpt, href };
+      return { icon, category, date, title: postTitle, slug, excerpt, body, href };
     })
     .filter(Boolean)
     .slice(0, 30);
+  const slugged = blog.assignSlugs(posts);
 
-  if (number.length > 10) return res.redirect('/admin?page=blog&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=blog&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=blog&error=Title+too+long');
-  if (subtitle.length > 160) return res.redirect('/admin?page=blog&error=Subtitle+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=blog&error=Missing+site.json');
 
   const next = Object.assign({}, site.blog);
@@ -918,14 +1608,15 @@ app.post('/admin/blog', requireAuth, async (req, res) => {
   next.number = number;
   next.title = title;
   next.subtitle = subtitle;
-  next.posts = posts;
+  next.posts = slugged;
 
   site.blog = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'blog', formatErrors(saved.errors));
   return res.redirect('/admin?page=blog&saved=1');
 });
 
-app.post('/admin/github', requireAuth, async (req, res) => {
+app.post('/admin/github', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=github&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -968,14 +1659,7 @@ app.post('/admin/github', requireAuth, async (req, res) => {
     .filter(Boolean)
     .slice(0, 12);
 
-  if (number.length > 10) return res.redirect('/admin?page=github&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=github&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=github&error=Title+too+long');
-  if (username.length > 40) return res.redirect('/admin?page=github&error=Username+too+long');
-  if (tagline.length > 120) return res.redirect('/admin?page=github&error=Tagline+too+long');
-  if (profileUrl.length > 240) return res.redirect('/admin?page=github&error=Profile+URL+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=github&error=Missing+site.json');
 
   const next = Object.assign({}, site.github);
@@ -989,11 +1673,12 @@ app.post('/admin/github', requireAuth, async (req, res) => {
   next.pinned = pinned;
 
   site.github = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'github', formatErrors(saved.errors));
   return res.redirect('/admin?page=github&saved=1');
 });
 
-app.post('/admin/contact', requireAuth, async (req, res) => {
+app.post('/admin/contact', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=contact&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -1030,13 +1715,30 @@ app.post('/admin/contact', requireAuth, async (req, res) => {
   const subjectLabel = asTrimmedString(form.subjectLabel);
   const messageLabel = asTrimmedString(form.messageLabel);
   const buttonLabel = asTrimmedString(form.buttonLabel);
+  const fields = contactFields.normalizeFields(
+    normalizeArray(form.fields).map((f) => Object.assign({}, f, { required: parseEnabled(f && f.required) }))
+  );
+  const allowAttachments = parseEnabled(form.attachments);
+
+  const reply = req.body.autoReply && typeof req.body.autoReply === 'object' ? req.body.autoReply : {};
+  const autoReplyEnabled = parseEnabled(reply.enabled);
+  const autoReplySubject = asTrimmedString(reply.subject);
+  const autoReplyBody = String(reply.body || '').replace(/\r\n/g, '\n').trim();
+
+  const bookingInput = req.body.booking && typeof req.body.booking === 'object' ? req.body.booking : {};
+  const timezone = asTrimmedString(bookingInput.timezone) || booking.DEFAULTS.timezone;
+  if (!booking.validTimezone(timezone)) return res.redirect('/admin?page=contact&error=Unknown+time+zone');
+  const bookingSettings = booking.bookingSettings({
+    contact: {
+      booking: Object.assign({}, bookingInput, {
+        enabled: parseEnabled(bookingInput.enabled),
+        timezone,
+        weekly: normalizeArray(bookingInput.weekly),
+      }),
+    },
+  });
 
-  if (number.length > 10) return res.redirect('/admin?page=contact&error=Number+too+long');
-  if (!title) return res.redirect('/admin?page=contact&error=Title+is+required');
-  if (title.length > 60) return res.redirect('/admin?page=contact&error=Title+too+long');
-  if (description.length > 500) return res.redirect('/admin?page=contact&error=Description+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=contact&error=Missing+site.json');
 
   const next = Object.assign({}, site.contact);
@@ -1046,14 +1748,17 @@ app.post('/admin/contact', requireAuth, async (req, res) => {
   next.description = description;
   next.details = details;
   next.socials = socials;
-  next.form = { nameLabel, emailLabel, subjectLabel, messageLabel, buttonLabel };
+  next.form = { nameLabel, emailLabel, subjectLabel, messageLabel, buttonLabel, fields, attachments: allowAttachments };
+  next.autoReply = { enabled: autoReplyEnabled, subject: autoReplySubject, body: autoReplyBody };
+  next.booking = bookingSettings;
 
   site.contact = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'contact', formatErrors(saved.errors));
   return res.redirect('/admin?page=contact&saved=1');
 });
 
-app.post('/admin/footer', requireAuth, async (req, res) => {
+app.post('/admin/footer', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?page=footer&error=Invalid+session');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -1071,11 +1776,7 @@ app.post('/admin/footer', requireAuth, async (req, res) => {
     .filter(Boolean)
     .slice(0, 12);
 
-  if (!logoText) return res.redirect('/admin?page=footer&error=Logo+text+is+required');
-  if (logoText.length > 80) return res.redirect('/admin?page=footer&error=Logo+text+too+long');
-  if (line1.length > 120) return res.redirect('/admin?page=footer&error=Line+too+long');
-
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?page=footer&error=Missing+site.json');
 
   const next = Object.assign({}, site.footer);
@@ -1085,11 +1786,12 @@ app.post('/admin/footer', requireAuth, async (req, res) => {
   next.links = links;
 
   site.footer = next;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, 'footer', formatErrors(saved.errors));
   return res.redirect('/admin?page=footer&saved=1');
 });
 
-app.post('/admin/section/:id', requireAuth, async (req, res) => {
+app.post('/admin/section/:id', requireEditor, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?error=Invalid+session');
 
   const sectionId = String(req.params.id || '');
@@ -1099,14 +1801,14 @@ app.post('/admin/section/:id', requireAuth, async (req, res) => {
   let parsed;
   try {
     parsed = JSON.parse(raw);
-  } catch {
-    return res.redirect(`/admin?page=${encodeURIComponent(sectionId)}&error=Invalid+JSON`);
+  } catch (err) {
+    return rejectInvalid(req, res, sectionId, [`Invalid JSON: ${err.message}`], raw);
   }
   if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
-    return res.redirect(`/admin?page=${encodeURIComponent(sectionId)}&error=Section+must+be+an+object`);
+    return rejectInvalid(req, res, sectionId, [`${sectionId} must be an object`], raw);
   }
 
-  const site = await readJson(SITE_JSON_PATH, null);
+  const site = await readDraftSite();
   if (!site || typeof site !== 'object') return res.redirect('/admin?error=Missing+site.json');
 
   const enabled = parseEnabled(req.body.enabled);
@@ -1119,28 +1821,568 @@ app.post('/admin/section/:id', requireAuth, async (req, res) => {
   }
 
   site[sectionId] = parsed;
-  await writeJsonAtomic(SITE_JSON_PATH, site);
+  const saved = await saveDraft(site);
+  if (!saved.ok) return rejectInvalid(req, res, sectionId, formatErrors(saved.errors), raw);
   return res.redirect(`/admin?page=${encodeURIComponent(sectionId)}&saved=1`);
 });
 
-app.post('/admin/site', requireAuth, async (req, res) => {
+app.post('/admin/site', requireOwner, async (req, res) => {
   if (!assertCsrf(req)) return res.redirect('/admin?error=Invalid+session');
 
   const raw = String(req.body.siteJson || '');
   let parsed;
   try {
     parsed = JSON.parse(raw);
-  } catch {
-    return res.redirect('/admin?error=Invalid+JSON');
+  } catch (err) {
+    return rejectInvalid(req, res, 'raw', [`Invalid JSON: ${err.message}`], raw);
   }
 
-  if (!parsed || typeof parsed !== 'object') return res.redirect('/admin?error=Invalid+JSON');
-  if (!parsed.meta || !parsed.hero || !parsed.about) return res.redirect('/admin?error=Missing+required+fields');
-
-  await writeJsonAtomic(SITE_JSON_PATH, parsed);
+  const saved = await saveDraft(parsed);
+  if (!saved.ok) return rejectInvalid(req, res, 'raw', formatErrors(saved.errors), raw);
   return res.redirect('/admin?page=raw&saved=1');
 });
 
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: media.MAX_UPLOAD_BYTES, files: 1 },
+}).single('file');
+
+app.post('/admin/media', requireEditor, (req, res, next) => {
+  mediaUpload(req, res, async (err) => {
+    // The callback runs outside Express's own error handling, so failures are passed on here.
+    try {
+      if (err) {
+        const msg = err.code === 'LIMIT_FILE_SIZE' ? 'File+is+too+large' : 'Upload+failed';
+        return res.redirect(`/admin?page=media&error=${msg}`);
+      }
+      if (!assertCsrf(req)) return res.redirect('/admin?page=media&error=Invalid+session');
+      if (!req.file) return res.redirect('/admin?page=media&error=No+file+uploaded');
+
+      const result = await media.saveUpload({
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+        mimetype: req.file.mimetype,
+        uploadedBy: req.session.user.username,
+      });
+      if (!result.ok) return res.redirect(`/admin?page=media&error=${encodeURIComponent(result.error)}`);
+      return res.redirect('/admin?page=media&saved=1');
+    } catch (uploadErr) {
+      return next(uploadErr);
+    }
+  });
+});
+
+app.post('/admin/media/:id/delete', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=media&error=Invalid+session');
+
+  const ok = await media.deleteMedia(String(req.params.id || ''));
+  if (!ok) return res.redirect('/admin?page=media&error=Media+not+found');
+  return res.redirect('/admin?page=media&saved=1');
+});
+
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: resumes.MAX_RESUME_BYTES, files: 1 },
+}).single('file');
+
+app.post('/admin/resume', requireEditor, (req, res, next) => {
+  resumeUpload(req, res, async (err) => {
+    try {
+      if (err) {
+        const msg = err.code === 'LIMIT_FILE_SIZE' ? 'File+is+too+large' : 'Upload+failed';
+        return res.redirect(`/admin?page=resume&error=${msg}`);
+      }
+      if (!assertCsrf(req)) return res.redirect('/admin?page=resume&error=Invalid+session');
+      if (!req.file) return res.redirect('/admin?page=resume&error=No+file+uploaded');
+
+      const result = await resumes.saveResume({
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+        note: req.body.note,
+        uploadedBy: req.session.user.username,
+      });
+      if (!result.ok) return res.redirect(`/admin?page=resume&error=${encodeURIComponent(result.error)}`);
+      return res.redirect('/admin?page=resume&saved=1');
+    } catch (uploadErr) {
+      return next(uploadErr);
+    }
+  });
+});
+
+app.post('/admin/resume/settings', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=resume&error=Invalid+session');
+
+  await resumes.setDownloadName(req.body.downloadName);
+  return res.redirect('/admin?page=resume&saved=1');
+});
+
+app.post('/admin/resume/:id/activate', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=resume&error=Invalid+session');
+
+  const ok = await resumes.activateResume(String(req.params.id || ''));
+  if (!ok) return res.redirect('/admin?page=resume&error=Resume+not+found');
+  return res.redirect('/admin?page=resume&saved=1');
+});
+
+app.post('/admin/resume/:id/delete', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=resume&error=Invalid+session');
+
+  const result = await resumes.deleteResume(String(req.params.id || ''));
+  if (!result.ok) return res.redirect(`/admin?page=resume&error=${encodeURIComponent(result.error)}`);
+  return res.redirect('/admin?page=resume&saved=1');
+});
+
+// Triage and notes are open to viewers; deleting needs an editor.
+app.post('/admin/submissions/bulk', requireAuth, async (req, res) => {
+  const filters = submissionStore.normalizeFilters(req.body);
+  const back = (extra) => submissionsUrl(filters, Object.assign({ p: req.body.p }, extra));
+  if (!assertCsrf(req)) return res.redirect(back({ error: 'Invalid session' }));
+
+  const ids = submissionIds(req.body.ids);
+  if (!ids.length) return res.redirect(back({ error: 'Select at least one submission' }));
+
+  const action = String(req.body.op || '');
+  if (action === 'delete') {
+    if (!users.hasRole({ role: req.session.user.role }, 'editor')) {
+      return res.redirect(back({ error: 'You do not have permission for that' }));
+    }
+    await submissionStore.deleteSubmissions(ids);
+    await outbox.dropForSubmissions(ids);
+    await attachments.removeAttachments(ids);
+    return res.redirect(back({ saved: '1' }));
+  }
+  if (action === 'spam') {
+    await submissionStore.setSpam(ids, true);
+    return res.redirect(back({ saved: '1' }));
+  }
+  if (action === 'not_spam') {
+    await releaseSpam(ids);
+    return res.redirect(back({ saved: '1' }));
+  }
+  if (!submissionStore.TRIAGE_STATES.includes(action)) return res.redirect(back({ error: 'Unknown action' }));
+  await submissionStore.setState(ids, action);
+  return res.redirect(back({ saved: '1' }));
+});
+
+app.post('/admin/submissions/:id/state', requireAuth, async (req, res) => {
+  const id = String(req.params.id || '');
+  const back = (extra) => submissionsUrl(submissionStore.normalizeFilters(req.body), Object.assign({ view: id, p: req.body.p }, extra));
+  if (!assertCsrf(req)) return res.redirect(back({ error: 'Invalid session' }));
+
+  const state = String(req.body.newState || '');
+  if (!submissionStore.TRIAGE_STATES.includes(state)) return res.redirect(back({ error: 'Unknown state' }));
+  await submissionStore.setState([id], state);
+  return res.redirect(back({ saved: '1' }));
+});
+
+app.post('/admin/submissions/:id/notes', requireAuth, async (req, res) => {
+  const id = String(req.params.id || '');
+  const back = (extra) => submissionsUrl(submissionStore.normalizeFilters(req.body), Object.assign({ view: id, p: req.body.p }, extra));
+  if (!assertCsrf(req)) return res.redirect(back({ error: 'Invalid session' }));
+
+  const ok = await submissionStore.addNote(id, { author: req.session.user.username, text: req.body.note });
+  if (!ok) return res.redirect(back({ error: 'Note is empty or the submission no longer exists' }));
+  return res.redirect(back({ saved: '1' }));
+});
+
+function spamConfig(data) {
+  const config = data && data.spam && typeof data.spam === 'object' ? data.spam : {};
+  return {
+    blocklist: spam.normalizeList(config.blocklist),
+    keywords: spam.normalizeList(config.keywords),
+  };
+}
+
+// Messages let out of spam get the owner notification they were held back from.
+async function releaseSpam(ids) {
+  const ready = mailConfigured() && Boolean(process.env.CONTACT_TO);
+  const released = await submissionStore.setSpam(ids, false, ready ? 'queued' : 'email_not_configured');
+  if (!ready) return;
+  for (const submission of released) {
+    await outbox.enqueue({ kind: 'contact', submissionId: submission.id, message: contactEmail(submission) });
+  }
+}
+
+app.post('/admin/notifications', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=notifications&error=Invalid+session');
+
+  const result = await notify.addChannel(req.body);
+  if (result.error) return res.redirect(`/admin?page=notifications&error=${encodeURIComponent(result.error)}`);
+  return res.redirect('/admin?page=notifications&saved=1');
+});
+
+// Sends a sample event straight away (not through the outbox) and reports the result.
+app.post('/admin/notifications/:id/test', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=notifications&error=Invalid+session');
+
+  const channel = (await notify.listChannels()).find((c) => c.id === String(req.params.id || ''));
+  if (!channel) return res.redirect('/admin?page=notifications&error=Channel+not+found');
+
+  const sample = {
+    id: 'test',
+    createdAt: new Date().toISOString(),
+    name: 'Test Sender',
+    email: 'test@example.com',
+    subject: 'Test notification',
+    message: `This is a test from the admin, sent by ${req.session.user.username}.`,
+    status: 'test',
+  };
+  try {
+    await notify.deliver(channel, notify.submissionEvent(sample, `${req.protocol}://${req.get('host')}${withBasePath('/admin?page=notifications')}`));
+  } catch (err) {
+    return res.redirect(`/admin?page=notifications&error=${encodeURIComponent(`Test failed: ${String((err && err.message) || err).slice(0, 200)}`)}`);
+  }
+  return res.redirect('/admin?page=notifications&tested=1');
+});
+
+app.post('/admin/notifications/:id/:action(enable|disable)', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=notifications&error=Invalid+session');
+
+  const ok = await notify.setChannelEnabled(String(req.params.id || ''), req.params.action === 'enable');
+  if (!ok) return res.redirect('/admin?page=notifications&error=Channel+not+found');
+  return res.redirect('/admin?page=notifications&saved=1');
+});
+
+app.post('/admin/notifications/:id/delete', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=notifications&error=Invalid+session');
+
+  const ok = await notify.removeChannel(String(req.params.id || ''));
+  if (!ok) return res.redirect('/admin?page=notifications&error=Channel+not+found');
+  return res.redirect('/admin?page=notifications&saved=1');
+});
+
+app.post('/admin/submissions/spam-settings', requireEditor, async (req, res) => {
+  const back = (extra) => submissionsUrl({ state: 'spam' }, extra);
+  if (!assertCsrf(req)) return res.redirect(back({ error: 'Invalid session' }));
+
+  const blocklist = spam.normalizeList(req.body.blocklist);
+  const keywords = spam.normalizeList(req.body.keywords);
+  await settings.updateSettings((data) => {
+    data.spam = Object.assign({}, data.spam, { blocklist, keywords });
+  });
+  return res.redirect(back({ saved: '1' }));
+});
+
+// Retries a queued or failed email now, or queues a fresh copy if the last one was delivered.
+app.post('/admin/submissions/:id/resend', requireEditor, async (req, res) => {
+  const id = String(req.params.id || '');
+  const back = (extra) => submissionsUrl(submissionStore.normalizeFilters(req.body), Object.assign({ view: id, p: req.body.p }, extra));
+  if (!assertCsrf(req)) return res.redirect(back({ error: 'Invalid session' }));
+
+  const submission = (await submissionStore.listSubmissions()).find((s) => s.id === id);
+  if (!submission) return res.redirect(back({ error: 'Submission not found' }));
+
+  const waiting = outbox.jobsForSubmission(await outbox.listJobs(), id).find((j) => j.kind === 'contact' && j.status !== 'sent');
+  let mail = null;
+  if (!waiting) {
+    try {
+      mail = contactEmail(submission);
+    } catch (err) {
+      return res.redirect(back({ error: err.message }));
+    }
+  }
+  // Marked before the worker is woken so a quick delivery isn't overwritten.
+  await submissionStore.patchSubmission(id, { status: 'queued' });
+  if (waiting) await outbox.retryJob(waiting.id);
+  else await outbox.enqueue({ kind: 'contact', submissionId: id, message: mail });
+  return res.redirect(back({ saved: '1' }));
+});
+
+function quoteMessage(submission) {
+  const when = submission.createdAt ? new Date(submission.createdAt).toUTCString() : 'earlier';
+  const quoted = String(submission.message || '').split('\n').map((line) => `> ${line}`).join('\n');
+  return `On ${when}, ${submission.name} wrote:\n${quoted}`;
+}
+
+// Sent straight away (not through the outbox) so the editor sees a failure while the
+// text is still in front of them. Each reply answers the previous one in the thread.
+app.post('/admin/submissions/:id/reply', requireEditor, async (req, res) => {
+  const id = String(req.params.id || '');
+  const back = (extra) => submissionsUrl(submissionStore.normalizeFilters(req.body), Object.assign({ view: id, p: req.body.p }, extra));
+  if (!assertCsrf(req)) return res.redirect(back({ error: 'Invalid session' }));
+
+  const submission = (await submissionStore.listSubmissions()).find((s) => s.id === id);
+  if (!submission) return res.redirect(back({ error: 'Submission not found' }));
+
+  const subject = asTrimmedString(req.body.subject).replace(/[\r\n]+/g, ' ').slice(0, 200) || `Re: ${submission.subject}`;
+  const body = String(req.body.body || '').replace(/\r\n/g, '\n').trim().slice(0, 10000);
+  const includeOriginal = parseEnabled(req.body.includeOriginal);
+  if (!body) return res.redirect(back({ error: 'Write a reply first' }));
+
+  const transport = buildMailer();
+  if (!transport || !process.env.SMTP_FROM) return res.redirect(back({ error: 'Email is not configured.' }));
+
+  const previous = Array.isArray(submission.replies) ? submission.replies : [];
+  const root = submission.messageId || threadMessageId(submission);
+  const references = [root].concat(previous.map((r) => r.messageId).filter(Boolean));
+  const reply = {
+    id: crypto.randomBytes(6).toString('hex'),
+    at: new Date().toISOString(),
+    author: req.session.user.username,
+    to: submission.email,
+    subject,
+    body,
+  };
+  reply.messageId = threadMessageId(submission, reply.id);
+
+  try {
+    await transport.sendMail({
+      to: { name: submission.name, address: submission.email },
+      from: process.env.SMTP_FROM,
+      replyTo: process.env.CONTACT_TO || undefined,
+      subject,
+      text: includeOriginal ? `${body}\n\n${quoteMessage(submission)}` : body,
+      messageId: reply.messageId,
+      inReplyTo: references[references.length - 1],
+      references,
+    });
+  } catch (err) {
+    req.session.replyDraft = { id, subject, body };
+    return res.redirect(back({ error: `Reply not sent: ${String((err && err.message) || 'send failed').slice(0, 200)}` }));
+  }
+
+  await submissionStore.addReply(id, reply);
+  return res.redirect(back({ saved: '1' }));
+});
+
+// Exports whatever the inbox is currently showing, across all pages.
+app.get('/admin/submissions/export', requireAuth, async (req, res) => {
+  const filters = submissionStore.normalizeFilters(req.query);
+  const list = submissionStore.filterSubmissions((await submissionStore.listSubmissions()).reverse(), filters);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set('Cache-Control', 'no-store');
+
+  if (String(req.query.format || '') === 'csv') {
+    res.attachment(`submissions-${stamp}.csv`);
+    res.type('text/csv; charset=utf-8');
+    return res.send(submissionStore.submissionsToCsv(list));
+  }
+  res.attachment(`submissions-${stamp}.json`);
+  return res.json(list);
+});
+
+// Always served as a download so an uploaded file is never rendered in the admin's origin.
+app.get('/admin/submissions/:id/attachments/:attachmentId', requireAuth, async (req, res) => {
+  const submission = (await submissionStore.listSubmissions()).find((s) => s.id === String(req.params.id || ''));
+  const list = submission && Array.isArray(submission.attachments) ? submission.attachments : [];
+  const attachment = list.find((a) => a.id === String(req.params.attachmentId || ''));
+  if (!attachment) return res.status(404).send('Attachment not found.');
+
+  res.attachment(attachment.name);
+  res.type('application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.sendFile(attachments.attachmentPath(submission.id, attachment), (err) => {
+    if (err && !res.headersSent) res.status(404).send('Attachment not found.');
+  });
+});
+
+app.get('/admin/preview', requireAuth, async (req, res) => {
+  const draft = await readDraftSite();
+  if (!draft) return res.status(500).send('Missing data/site.json. Please create it.');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const site = i18n.localizeSite(draft, previewLocale(req, res, draft));
+  return renderSite(req, res, site, { preview: true });
+});
+
+app.get('/admin/preview/blog/:slug', requireAuth, async (req, res) => {
+  const draft = await readDraftSite();
+  if (!draft) return res.status(500).send('Missing data/site.json. Please create it.');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const site = i18n.localizeSite(draft, previewLocale(req, res, draft));
+  return renderPost(req, res, site, String(req.params.slug || ''), { preview: true });
+});
+
+app.get('/admin/preview/projects/:slug', requireAuth, async (req, res) => {
+  const draft = await readDraftSite();
+  if (!draft) return res.status(500).send('Missing data/site.json. Please create it.');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const site = i18n.localizeSite(draft, previewLocale(req, res, draft));
+  return renderDetail(req, res, site, 'projects', String(req.params.slug || ''), { preview: true });
+});
+
+app.get('/admin/preview/case-studies/:slug', requireAuth, async (req, res) => {
+  const draft = await readDraftSite();
+  if (!draft) return res.status(500).send('Missing data/site.json. Please create it.');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const site = i18n.localizeSite(draft, previewLocale(req, res, draft));
+  return renderDetail(req, res, site, 'casestudies', String(req.params.slug || ''), { preview: true });
+});
+
+app.post('/admin/publish', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?error=Invalid+session');
+
+  const draft = await siteData.readDraft();
+  if (!draft || typeof draft !== 'object') return res.redirect('/admin?error=Nothing+to+publish');
+
+  const saved = await saveSite(req, draft);
+  if (!saved.ok) return rejectInvalid(req, res, '', formatErrors(saved.errors));
+  await siteData.discardDraft();
+  return res.redirect('/admin?published=1');
+});
+
+app.post('/admin/discard', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?error=Invalid+session');
+
+  await siteData.discardDraft();
+  return res.redirect('/admin?discarded=1');
+});
+
+app.post('/admin/history/:id/restore', requireEditor, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=history&error=Invalid+session');
+
+  const revision = await revisions.getRevision(String(req.params.id || ''));
+  if (!revision) return res.redirect('/admin?page=history&error=Revision+not+found');
+
+  const saved = await saveSite(req, revision.site, 'restore', { restoredFrom: revision.id });
+  if (!saved.ok) return rejectInvalid(req, res, 'history', formatErrors(saved.errors));
+  return res.redirect('/admin?page=history&saved=1');
+});
+
+app.post('/admin/security/2fa/enable', requireAuth, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=security&error=Invalid+session');
+
+  const setup = req.session.totpSetup;
+  if (!setup || !setup.secret) return res.redirect('/admin?page=security&error=Start+the+setup+again');
+
+  const counter = totp.verifyTotp(setup.secret, req.body.code);
+  if (counter === null) return res.redirect('/admin?page=security&error=That+code+did+not+match.+Check+the+time+on+your+phone');
+
+  const result = await users.enableTotp(req.session.user.username, setup.secret, counter);
+  if (result.error) return res.redirect(`/admin?page=security&error=${encodeURIComponent(result.error)}`);
+  delete req.session.totpSetup;
+  req.session.recoveryCodes = result.recoveryCodes;
+  return res.redirect('/admin?page=security&saved=1');
+});
+
+app.post('/admin/security/2fa/disable', requireAuth, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=security&error=Invalid+session');
+  if (!(await checkPassword(req.session.user.username, req.body.password))) {
+    return res.redirect('/admin?page=security&error=Wrong+password');
+  }
+
+  await users.disableTotp(req.session.user.username);
+  return res.redirect('/admin?page=security&saved=1');
+});
+
+app.post('/admin/security/2fa/recovery-codes', requireAuth, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=security&error=Invalid+session');
+  if (!(await checkPassword(req.session.user.username, req.body.password))) {
+    return res.redirect('/admin?page=security&error=Wrong+password');
+  }
+
+  const result = await users.regenerateRecoveryCodes(req.session.user.username);
+  if (result.error) return res.redirect(`/admin?page=security&error=${encodeURIComponent(result.error)}`);
+  req.session.recoveryCodes = result.recoveryCodes;
+  return res.redirect('/admin?page=security&saved=1');
+});
+
+app.post('/admin/sessions/:handle/revoke', requireAuth, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=sessions&error=Invalid+session');
+
+  const target = (await listSessions(req)).find((row) => row.handle === String(req.params.handle || ''));
+  if (!target) return res.redirect('/admin?page=sessions&error=Session+not+found');
+  if (target.username !== req.session.user.username && !users.hasRole({ role: req.session.user.role }, 'owner')) {
+    return res.redirect('/admin?page=sessions&error=You+do+not+have+permission+for+that');
+  }
+
+  await audit.recordAuthEvent(req, 'session_revoked', req.session.user.username, { target: target.username });
+  if (target.current) return req.session.destroy(() => res.redirect('/admin/login'));
+  await new Promise((resolve) => sessionStore.destroy(target.id, () => resolve()));
+  return res.redirect('/admin?page=sessions&saved=1');
+});
+
+app.post('/admin/users/:username/unlock', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=users&error=Invalid+session');
+
+  const username = String(req.params.username);
+  await lockouts.clearFailures(username);
+  await audit.recordAuthEvent(req, 'unlocked', req.session.user.username, { target: username });
+  return res.redirect('/admin?page=users&saved=1');
+});
+
+function inviteUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${withBasePath(`/admin/invite/${token}`)}`;
+}
+
+app.post('/admin/users/invite', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=users&error=Invalid+session');
+
+  const result = await users.inviteUser({
+    username: req.body.username,
+    role: String(req.body.role || ''),
+    invitedBy: req.session.user.username,
+  });
+  if (result.error) return res.redirect(`/admin?page=users&error=${encodeURIComponent(result.error)}`);
+
+  req.session.userLink = { username: String(req.body.username).trim(), purpose: 'invite', url: inviteUrl(req, result.token) };
+  return res.redirect('/admin?page=users&saved=1');
+});
+
+app.post('/admin/users/:username/role', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=users&error=Invalid+session');
+
+  const result = await users.setRole(String(req.params.username), String(req.body.role || ''));
+  if (result.error) return res.redirect(`/admin?page=users&error=${encodeURIComponent(result.error)}`);
+  return res.redirect('/admin?page=users&saved=1');
+});
+
+app.post('/admin/users/:username/disable', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=users&error=Invalid+session');
+
+  const username = String(req.params.username);
+  if (username === req.session.user.username) return res.redirect('/admin?page=users&error=You+cannot+disable+your+own+account');
+
+  const result = await users.setDisabled(username, true);
+  if (result.error) return res.redirect(`/admin?page=users&error=${encodeURIComponent(result.error)}`);
+  return res.redirect('/admin?page=users&saved=1');
+});
+
+app.post('/admin/users/:username/enable', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=users&error=Invalid+session');
+
+  const result = await users.setDisabled(String(req.params.username), false);
+  if (result.error) return res.redirect(`/admin?page=users&error=${encodeURIComponent(result.error)}`);
+  return res.redirect('/admin?page=users&saved=1');
+});
+
+app.post('/admin/users/:username/reset', requireOwner, async (req, res) => {
+  if (!assertCsrf(req)) return res.redirect('/admin?page=users&error=Invalid+session');
+
+  const username = String(req.params.username);
+  if (username === req.session.user.username) return res.redirect('/admin?page=users&error=You+cannot+reset+your+own+password');
+
+  const result = await users.resetPassword(username);
+  if (result.error) return res.redirect(`/admin?page=users&error=${encodeURIComponent(result.error)}`);
+
+  req.session.userLink = { username, purpose: 'reset', url: inviteUrl(req, result.token) };
+  return res.redirect('/admin?page=users&saved=1');
+});
+
+// Invite and password-reset links both land here to set a new password.
+app.get('/admin/invite/:token', async (req, res) => {
+  const account = await users.findByToken(String(req.params.token || ''));
+  return res.render('admin-invite', {
+    csrfToken: ensureCsrf(req),
+    token: String(req.params.token || ''),
+    account: account ? { username: account.username, purpose: account.token.purpose } : null,
+    minPasswordLength: users.MIN_PASSWORD_LENGTH,
+    error: req.query.error ? String(req.query.error) : '',
+  });
+});
+
+app.post('/admin/invite/:token', loginLimiter, async (req, res) => {
+  const token = String(req.params.token || '');
+  const back = `/admin/invite/${encodeURIComponent(token)}`;
+  if (!assertCsrf(req)) return res.redirect(`${back}?error=Invalid+session`);
+
+  const password = String(req.body.password || '');
+  if (password !== String(req.body.confirm || '')) return res.redirect(`${back}?error=Passwords+do+not+match`);
+
+  const result = await users.acceptToken(token, password);
+  if (result.error) return res.redirect(`${back}?error=${encodeURIComponent(result.error)}`);
+  return res.redirect('/admin/login?notice=Password+set.+Sign+in+below.');
+});
+
 // ---- API: contact (SMTP) ----
 const contactLimiter = rateLimit({
   windowMs: 10 * 60 * 1000,
@@ -1158,7 +2400,151 @@ function escapeHtml(s) {
     .replaceAll("'", '&#39;');
 }
 
-app.post('/api/contact', contactLimiter, async (req, res) => {
+function mailConfigured() {
+  return Boolean(buildMailer() && process.env.SMTP_FROM);
+}
+
+// Message-IDs use the sending domain so mail clients can thread the notification,
+// the auto-reply and any replies from the admin together.
+function mailDomain() {
+  const match = String(process.env.SMTP_FROM || '').match(/@([^\s>]+)/);
+  return match ? match[1] : 'localhost';
+}
+
+function threadMessageId(submission, suffix) {
+  return `<${submission.id}${suffix ? `.${suffix}` : ''}@${mailDomain()}>`;
+}
+
+// The calendar event for a booked meeting; the owner (CONTACT_TO) organizes it.
+function bookingIcs(submission, method) {
+  const b = submission.booking;
+  const organizer = (requireEnv('CONTACT_TO').match(/[^\s<>,"]+@[^\s<>,"]+/) || [''])[0];
+  return booking.buildIcs({
+    uid: `${submission.id}@${mailDomain()}`,
+    start: b.start,
+    end: b.end,
+    summary: `${b.title}: ${submission.name}`,
+    description: submission.message,
+    organizer: { email: organizer },
+    attendee: { name: submission.name, email: submission.email },
+    method,
+  });
+}
+
+function bookingInvite(submission, from) {
+  const b = submission.booking;
+  const when = `${booking.formatSlot(b.start, b.timezone)} (${b.timezone})`;
+  const name = String(submission.name).replace(/[\r\n]+/g, ' ');
+  return {
+    to: submission.email,
+    from,
+    replyTo: requireEnv('CONTACT_TO'),
+    subject: `Invitation: ${b.title} on ${when}`.slice(0, 200),
+    text: `Hi ${name},\n\nYour ${b.title} is booked for ${when}. The calendar invitation is attached; reply to this email if you need to change it.\n`,
+    icalEvent: { method: 'REQUEST', filename: 'invite.ics', content: bookingIcs(submission, 'REQUEST') },
+    messageId: threadMessageId(submission, 'invite'),
+    inReplyTo: submission.messageId,
+    references: [submission.messageId],
+  };
+}
+
+// Builds the notification for the site owner; throws when SMTP or the addresses aren't configured.
+function contactEmail(submission) {
+  if (!buildMailer()) throw new Error('Email is not configured.');
+  const to = requireEnv('CONTACT_TO');
+  const from = requireEnv('SMTP_FROM');
+  const { name, email, subject, message } = submission;
+  const fields = Array.isArray(submission.fields) ? submission.fields : [];
+
+  const safeName = escapeHtml(name);
+  const safeEmail = escapeHtml(email);
+  const safeSubject = escapeHtml(subject);
+  const safeMessage = escapeHtml(message).replaceAll('\n', '<br/>');
+  const fieldsHtml = fields.map((f) => `<p><b>${escapeHtml(f.label)}:</b> ${escapeHtml(f.value)}</p>`).join('');
+  const fieldsText = fields.length ? `${contactFields.fieldsText(fields)}\n` : '';
+  const meeting = submission.booking
+    ? `${booking.formatSlot(submission.booking.start, submission.booking.timezone)} (${submission.booking.timezone})`
+    : '';
+  const files = Array.isArray(submission.attachments) ? submission.attachments : [];
+
+  return {
+    to,
+    from,
+    replyTo: `${name} <${email}>`,
+    messageId: submission.messageId || threadMessageId(submission),
+    subject: `Portfolio Contact: ${subject}`,
+    text: `Name: ${name}\nEmail: ${email}\nSubject: ${subject}\n${meeting ? `Meeting: ${meeting}\n` : ''}${fieldsText}\n${message}`,
+    html: `
+      <div style="font-family:Arial,sans-serif;line-height:1.5">
+        <h2>New Portfolio Contact</h2>
+        <p><b>Name:</b> ${safeName}</p>
+        <p><b>Email:</b> ${safeEmail}</p>
+        <p><b>Subject:</b> ${safeSubject}</p>
+        ${meeting ? `<p><b>Meeting:</b> ${escapeHtml(meeting)}</p>` : ''}
+        ${fieldsHtml}
+        <p><b>Message:</b><br/>${safeMessage}</p>
+      </div>
+    `,
+    // Paths rather than contents, so queued outbox jobs stay small.
+    attachments: files
+      .map((a) => ({
+        filename: a.name,
+        contentType: a.mime,
+        path: attachments.attachmentPath(submission.id, a),
+      }))
+      .concat(submission.booking ? [{ filename: 'meeting.ics', contentType: 'text/calendar', content: bookingIcs(submission, 'PUBLISH') }] : []),
+  };
+}
+
+async function sendOutboxJob(job) {
+  if (job.kind === 'notify') {
+    const channel = (await notify.listChannels()).find((c) => c.id === job.message.channelId);
+    if (!channel) throw new Error('The notification channel was removed.');
+    if (!channel.enabled) throw new Error('The notification channel is disabled.');
+    await notify.deliver(channel, job.message.event);
+    return;
+  }
+  const transport = buildMailer();
+  if (!transport) throw new Error('Email is not configured.');
+  await transport.sendMail(job.message);
+}
+
+// One outbox job per enabled channel, so a failing channel is retried on its own.
+async function notifySubmission(req, submission) {
+  const channels = (await notify.listChannels()).filter((c) => c.enabled);
+  if (!channels.length) return;
+  const adminUrl = `${req.protocol}://${req.get('host')}${withBasePath(submissionsUrl({ state: 'all' }, { view: submission.id }))}`;
+  const event = notify.submissionEvent(submission, adminUrl);
+  for (const channel of channels) {
+    await outbox.enqueue({ kind: 'notify', submissionId: submission.id, message: { channelId: channel.id, channelName: channel.name, event } });
+  }
+}
+
+// Only the owner notification drives the submission's delivery status.
+async function recordDelivery(job) {
+  if (!job.submissionId || job.kind !== 'contact') return;
+  await submissionStore.patchSubmission(job.submissionId, { status: submissionStore.deliveryStatus(job) });
+}
+
+const contactUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachments.MAX_FILE_BYTES, files: attachments.MAX_FILES, fieldSize: 64 * 1024 },
+}).array('attachments', attachments.MAX_FILES);
+
+// Only runs for multipart requests (the form with files); JSON posts pass straight through.
+function parseContactUpload(req, res, next) {
+  contactUpload(req, res, (err) => {
+    if (!err) return next();
+    let error = 'Upload failed.';
+    if (err.code === 'LIMIT_FILE_SIZE') error = 'An attachment is too large.';
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      error = `Attach at most ${attachments.MAX_FILES} files.`;
+    }
+    return res.status(400).json({ ok: false, error });
+  });
+}
+
+app.post('/api/contact', contactLimiter, parseContactUpload, async (req, res) => {
   const name = String(req.body.name || '').trim();
   const email = String(req.body.email || '').trim();
   const subject = String(req.body.subject || '').trim();
@@ -1174,62 +2560,157 @@ app.post('/api/contact', contactLimiter, async (req, res) => {
     return res.status(400).json({ ok: false, error: 'Invalid email.' });
   }
 
-  const submissionId = crypto.randomBytes(10).toString('hex');
-  const createdAt = new Date().toISOString();
-  await appendSubmission({
-    id: submissionId,
-    createdAt,
+  const liveSite = await siteData.readLiveSite();
+  const extra = contactFields.validateFields(contactFields.formFields(liveSite), req.body.fields);
+  if (extra.error) return res.status(400).json({ ok: false, error: extra.error });
+
+  const files = Array.isArray(req.files) ? req.files : [];
+  const form = (liveSite && liveSite.contact && liveSite.contact.form) || {};
+  if (files.length && !form.attachments) {
+    return res.status(400).json({ ok: false, error: 'Attachments are not accepted.' });
+  }
+  const uploads = attachments.checkUploads(files);
+  if (uploads.error) return res.status(400).json({ ok: false, error: uploads.error });
+
+  const verdict = spam.scoreSubmission(
+    {
+      name,
+      email,
+      subject,
+      message: [message, contactFields.fieldsText(extra.values)].join('\n'),
+      honeypot: req.body.website,
+      formToken: req.body.formToken,
+    },
+    Object.assign({ secret: SESSION_SECRET }, spamConfig(await settings.readSettings()))
+  );
+
+  const submission = {
+    id: crypto.randomBytes(10).toString('hex'),
+    createdAt: new Date().toISOString(),
     name,
     email,
     subject,
     message,
-    status: 'received',
-  });
-
-  const transport = buildMailer();
-  if (!transport) {
-    await patchSubmission(submissionId, { status: 'email_not_configured' });
-    return res.status(500).json({ ok: false, error: 'Email is not configured.' });
+    fields: extra.values,
+  };
+  submission.messageId = threadMessageId(submission);
+
+  // Kept for review in the admin Spam tab, but nothing is emailed and files are dropped.
+  if (verdict.spam) {
+    await submissionStore.appendSubmission(Object.assign(submission, {
+      status: 'spam',
+      spam: { score: verdict.score, reasons: verdict.reasons },
+    }));
+    return res.status(202).json({ ok: true });
   }
 
-  let to;
-  let from;
+  const saved = await attachments.saveAttachments(submission.id, uploads.files);
+  if (saved.length) submission.attachments = saved;
+
+  // The message is safe in data/submissions.json from here on, so the visitor gets an
+  // answer straight away and delivery is retried in the background if SMTP is down.
+  let mail = null;
   try {
-    to = requireEnv('CONTACT_TO');
-    from = requireEnv('SMTP_FROM');
-  } catch (e) {
-    await patchSubmission(submissionId, { status: 'email_not_configured' });
-    return res.status(500).json({ ok: false, error: String(e.message || 'Email is not configured.') });
+    mail = contactEmail(submission);
+  } catch (err) {
+    // Kept without a delivery attempt; it can be resent from the admin once SMTP is set up.
   }
+  await submissionStore.appendSubmission(Object.assign(submission, { status: mail ? 'queued' : 'email_not_configured' }));
+  if (mail) await outbox.enqueue({ kind: 'contact', submissionId: submission.id, message: mail });
+  await notifySubmission(req, submission);
+
+  const replySettings = autoReply.autoReplySettings(liveSite);
+  if (mail && replySettings.enabled && autoReply.allowAutoReply({ email, ip: req.ip })) {
+    await outbox.enqueue({
+      kind: 'auto_reply',
+      submissionId: submission.id,
+      message: Object.assign(autoReply.buildAutoReply(replySettings, submission, mail.from), {
+        messageId: threadMessageId(submission, 'ack'),
+        inReplyTo: submission.messageId,
+        references: [submission.messageId],
+      }),
+    });
+  }
+  return res.status(202).json({ ok: true });
+});
 
-  const safeName = escapeHtml(name);
-  const safeEmail = escapeHtml(email);
-  const safeSubject = escapeHtml(subject);
-  const safeMessage = escapeHtml(message).replaceAll('\n', '<br/>');
+// ---- API: booking ----
+app.get('/api/booking/slots', async (req, res) => {
+  const config = booking.bookingSettings(await siteData.readLiveSite());
+  if (!config.enabled) return res.status(404).json({ ok: false, error: 'Booking is not available.' });
+
+  res.set('Cache-Control', 'no-store');
+  return res.json({
+    ok: true,
+    title: config.title,
+    timezone: config.timezone,
+    slotMinutes: config.slotMinutes,
+    slots: booking.openSlots(config, await submissionStore.listSubmissions()),
+  });
+});
+
+app.post('/api/booking', contactLimiter, async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const email = String(req.body.email || '').trim();
+  const message = String(req.body.message || '').trim();
+  const start = String(req.body.start || '');
+
+  if (!name || !email || !start) return res.status(400).json({ ok: false, error: 'Missing required fields.' });
+  if (name.length > 80 || email.length > 160 || message.length > 4000) {
+    return res.status(400).json({ ok: false, error: 'Input too long.' });
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ ok: false, error: 'Invalid email.' });
+  }
+
+  const config = booking.bookingSettings(await siteData.readLiveSite());
+  if (!config.enabled) return res.status(404).json({ ok: false, error: 'Booking is not available.' });
+  const isOpen = (list) => booking.findOpenSlot(config, list, start);
+  const slot = isOpen(await submissionStore.listSubmissions());
+  if (!slot) return res.status(409).json({ ok: false, error: 'That time is no longer available.' });
+
+  const when = booking.formatSlot(slot.start, config.timezone);
+  const submission = {
+    id: crypto.randomBytes(10).toString('hex'),
+    createdAt: new Date().toISOString(),
+    name,
+    email,
+    subject: `${config.title}: ${when}`,
+    message: message || '(No message)',
+    booking: { start: slot.start, end: slot.end, timezone: config.timezone, title: config.title },
+  };
+  submission.messageId = threadMessageId(submission);
+
+  const verdict = spam.scoreSubmission(
+    { name, email, subject: submission.subject, message, honeypot: req.body.website, formToken: req.body.formToken },
+    Object.assign({ secret: SESSION_SECRET }, spamConfig(await settings.readSettings()))
+  );
+  if (verdict.spam) {
+    await submissionStore.appendSubmission(Object.assign(submission, {
+      status: 'spam',
+      spam: { score: verdict.score, reasons: verdict.reasons },
+    }));
+    return res.status(202).json({ ok: true });
+  }
 
+  let mail = null;
   try {
-    await transport.sendMail({
-      to,
-      from,
-      replyTo: `${name} <${email}>`,
-      subject: `Portfolio Contact: ${subject}`,
-      text: `Name: ${name}\nEmail: ${email}\nSubject: ${subject}\n\n${message}`,
-      html: `
-        <div style="font-family:Arial,sans-serif;line-height:1.5">
-          <h2>New Portfolio Contact</h2>
-          <p><b>Name:</b> ${safeName}</p>
-          <p><b>Email:</b> ${safeEmail}</p>
-          <p><b>Subject:</b> ${safeSubject}</p>
-          <p><b>Message:</b><br/>${safeMessage}</p>
-        </div>
-      `,
-    });
-    await patchSubmission(submissionId, { status: 'sent' });
-    return res.json({ ok: true });
+    mail = contactEmail(submission);
   } catch (err) {
-    await patchSubmission(submissionId, { status: 'send_failed' });
-    return res.status(500).json({ ok: false, error: 'Failed to send email.' });
+    // Saved without a delivery attempt, like a contact message.
+  }
+  submission.status = mail ? 'queued' : 'email_not_configured';
+  // Re-checked inside the submissions queue so two visitors can't take the same slot.
+  const added = await submissionStore.appendSubmission(submission, (list) => !isOpen(list));
+  if (!added) return res.status(409).json({ ok: false, error: 'That time is no longer available.' });
+
+  if (mail) await outbox.enqueue({ kind: 'contact', submissionId: submission.id, message: mail });
+  await notifySubmission(req, submission);
+  // Invites go to whatever address was typed in, so they share the auto-reply limits.
+  if (mail && autoReply.allowAutoReply({ email, ip: req.ip })) {
+    await outbox.enqueue({ kind: 'invite', submissionId: submission.id, message: bookingInvite(submission, mail.from) });
   }
+  return res.status(202).json({ ok: true });
 });
 
 // ---- startup checks ----
@@ -1242,13 +2723,28 @@ app.post('/api/contact', contactLimiter, async (req, res) => {
     process.exit(1);
   }
 
-  const site = await readJson(SITE_JSON_PATH, null);
-  if (!site) {
+  let site;
+  try {
+    site = JSON.parse(await fs.readFile(SITE_JSON_PATH, 'utf8'));
+  } catch (err) {
     // eslint-disable-next-line no-console
-    console.error('Missing data/site.json. Create it before starting the server.');
+    console.error(err && err.code === 'ENOENT'
+      ? 'Missing data/site.json. Create it before starting the server.'
+      : `data/site.json is not valid JSON: ${err.message}`);
     process.exit(1);
   }
 
+  const validation = validateSite(site);
+  if (!validation.ok) {
+    // eslint-disable-next-line no-console
+    console.error(['data/site.json failed validation:']
+      .concat(formatErrors(validation.errors).map((line) => `  - ${line}`))
+      .join('\n'));
+    process.exit(1);
+  }
+
+  outbox.startOutbox({ send: sendOutboxJob, onResult: recordDelivery });
+
   app.listen(PORT, () => {
     // eslint-disable-next-line no-console
     console.log(`Server running on http://localhost:${PORT}`);
@@ -0,0 +1,93 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-booking-'));
+
+const booking = require('../lib/booking');
+const submissionStore = require('../lib/submissions');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function settings(overrides) {
+  const raw = Object.assign(
+    { enabled: true, timezone: 'UTC', slotMinutes: 30, bufferMinutes: 15, noticeHours: 0, horizonDays: 7, weekly: [] },
+    overrides
+  );
+  return booking.bookingSettings({ contact: { booking: raw } });
+}
+
+function starts(config, submissions, now) {
+  return booking.openSlots(config, submissions || [], now).map((s) => s.start);
+}
+
+// Thursday 2026-01-01, midnight UTC.
+const NEW_YEAR = Date.UTC(2026, 0, 1);
+
+test('fills each weekly window with slots separated by the buffer', () => {
+  const config = settings({ horizonDays: 6, weekly: [{ day: 1, start: '09:00', end: '11:00' }, { day: 3, start: '14:00', end: '14:40' }] });
+  assert.deepEqual(starts(config, [], NEW_YEAR), [
+    '2026-01-05T09:00:00.000Z',
+    '2026-01-05T09:45:00.000Z',
+    '2026-01-05T10:30:00.000Z',
+    '2026-01-07T14:00:00.000Z',
+  ]);
+});
+
+test('leaves out blackout dates, slots inside the notice period and booked times', () => {
+  const config = settings({
+    horizonDays: 13,
+    noticeHours: 24 * 4 + 10,
+    blackouts: '2026-01-12',
+    weekly: [{ day: 1, start: '09:00', end: '11:00' }],
+  });
+  const booked = [{ booking: { start: '2026-01-05T10:30:00.000Z', end: '2026-01-05T11:00:00.000Z' }, status: 'queued' }];
+  // 09:00 and 09:45 on the 5th start inside the notice period; the 12th is blacked out.
+  assert.deepEqual(starts(config, [], NEW_YEAR), ['2026-01-05T10:30:00.000Z']);
+  assert.deepEqual(starts(config, booked, NEW_YEAR), []);
+
+  // Spam never blocks a slot.
+  const spam = [Object.assign({}, booked[0], { status: 'spam' })];
+  assert.deepEqual(starts(config, spam, NEW_YEAR), starts(config, [], NEW_YEAR));
+});
+
+test('keeps wall-clock times across daylight saving changes', () => {
+  const config = settings({ timezone: 'Europe/Berlin', slotMinutes: 60, bufferMinutes: 0, horizonDays: 8, weekly: [{ day: 1, start: '09:00', end: '10:00' }] });
+  // 09:00 in Berlin is 08:00Z in winter time and 07:00Z in summer time.
+  assert.deepEqual(starts(config, [], Date.UTC(2026, 2, 22)), ['2026-03-23T08:00:00.000Z', '2026-03-30T07:00:00.000Z']);
+  assert.deepEqual(starts(config, [], Date.UTC(2026, 9, 18)), ['2026-10-19T07:00:00.000Z', '2026-10-26T08:00:00.000Z']);
+});
+
+test('hands out each instant once on the days the clocks change', () => {
+  const config = settings({ timezone: 'Europe/Berlin', slotMinutes: 60, bufferMinutes: 0, horizonDays: 0, weekly: [{ day: 0, start: '01:00', end: '04:00' }] });
+  // Spring forward: 02:00 does not exist and lands on 03:00, which is listed once.
+  assert.deepEqual(starts(config, [], Date.UTC(2026, 2, 29)), ['2026-03-29T00:00:00.000Z', '2026-03-29T01:00:00.000Z']);
+  // Fall back: 01:00 summer time, then 02:00 and 03:00 winter time.
+  assert.deepEqual(starts(config, [], Date.UTC(2026, 9, 24, 22)), [
+    '2026-10-24T23:00:00.000Z',
+    '2026-10-25T01:00:00.000Z',
+    '2026-10-25T02:00:00.000Z',
+  ]);
+});
+
+test('only one of several concurrent bookings for the same slot succeeds', async () => {
+  const config = settings({ weekly: [{ day: 1, start: '09:00', end: '10:30' }] });
+  const start = '2026-01-05T09:00:00.000Z';
+  const slot = booking.findOpenSlot(config, [], start, NEW_YEAR);
+  assert.deepEqual(slot, { start, end: '2026-01-05T09:30:00.000Z' });
+
+  // The same predicate /api/booking passes to appendSubmission.
+  const book = (id) => submissionStore.appendSubmission(
+    { id, name: id, email: `${id}@example.com`, status: 'queued', booking: Object.assign({ timezone: 'UTC', title: 'Call' }, slot) },
+    (list) => !booking.findOpenSlot(config, list, start, NEW_YEAR)
+  );
+  const results = await Promise.all([book('first'), book('second'), book('third')]);
+  assert.equal(results.filter(Boolean).length, 1);
+
+  const stored = await submissionStore.listSubmissions();
+  assert.equal(stored.filter((s) => s.booking && s.booking.start === start).length, 1);
+  assert.equal(booking.findOpenSlot(config, stored, start, NEW_YEAR), undefined);
+  assert.deepEqual(starts(config, stored, NEW_YEAR), ['2026-01-05T09:45:00.000Z']);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const i18n = require('../lib/i18n');
+
+function site() {
+  return {
+    i18n: { defaultLocale: 'en', locales: [{ code: 'de', label: 'Deutsch' }] },
+    nav: { links: [{ label: 'Home' }, { label: 'Work' }] },
+    projects: {
+      title: 'Projects',
+      cards: [
+        { slug: 'engine', frontTitle: 'Engine', frontDesc: 'Runs things' },
+        { slug: 'notes', frontTitle: 'Notes' },
+        { slug: 'atlas', frontTitle: 'Atlas' },
+      ],
+    },
+    experience: {
+      title: 'Experience',
+      items: [
+        { id: 'a1', role: 'Lead', company: 'One', details: ['Led the team', 'Shipped v2'] },
+        { id: 'b2', role: 'Engineer', company: 'Two', details: [] },
+      ],
+    },
+    translations: {
+      de: {
+        nav: { 'links.1.label': 'Arbeit' },
+        projects: { 'cards.notes.frontTitle': 'Notizen', 'cards.atlas.frontTitle': 'Atlas DE' },
+        experience: { 'items.a1.role': 'Leitung', 'items.a1.details.1': 'v2 ausgeliefert', 'items.b2.role': 'Entwickler' },
+      },
+    },
+  };
+}
+
+test('keys list strings by slug and id instead of position', () => {
+  const data = site();
+  assert.deepEqual(i18n.sectionStrings(data, 'projects').map((s) => s.path), [
+    'title',
+    'cards.engine.frontTitle',
+    'cards.notes.frontTitle',
+    'cards.atlas.frontTitle',
+    'cards.engine.frontDesc',
+  ]);
+  assert.deepEqual(i18n.sectionStrings(data, 'experience').map((s) => s.path), [
+    'title',
+    'items.a1.role',
+    'items.b2.role',
+    'items.a1.details.0',
+    'items.a1.details.1',
+  ]);
+  assert.deepEqual(i18n.sectionStrings(data, 'nav').map((s) => s.path), ['links.0.label', 'links.1.label']);
+});
+
+test('keeps translations on their items when items are deleted or reordered', () => {
+  const data = site();
+  data.projects.cards = [data.projects.cards[2], data.projects.cards[1]];
+  data.experience.items.reverse();
+
+  const de = i18n.localizeSite(data, 'de');
+  assert.deepEqual(de.projects.cards.map((c) => c.frontTitle), ['Atlas DE', 'Notizen']);
+  assert.deepEqual(de.experience.items.map((it) => it.role), ['Entwickler', 'Leitung']);
+  assert.deepEqual(de.experience.items[1].details, ['Led the team', 'v2 ausgeliefert']);
+  assert.equal(de.translations, undefined);
+
+  // The default language is untouched.
+  assert.deepEqual(i18n.localizeSite(data, 'en').projects.cards.map((c) => c.frontTitle), ['Atlas', 'Notes']);
+});
+
+test('cleanTranslations drops only the strings of removed items', () => {
+  const data = site();
+  data.projects.cards.splice(1, 1);
+  const values = Object.assign({}, data.translations.de.projects, { 'cards.engine.frontTitle': '  Motor  ', 'cards.engine.frontDesc': ' ' });
+  assert.deepEqual(i18n.cleanTranslations(data, 'projects', values), {
+    'cards.engine.frontTitle': 'Motor',
+    'cards.atlas.frontTitle': 'Atlas DE',
+  });
+});
+
+test('derives slugs for cards saved without one the way the projects form does', () => {
+  const data = site();
+  data.projects.cards = [{ frontTitle: 'My App' }, { frontTitle: 'My App' }, { slug: 'kept', frontTitle: 'Kept' }];
+  assert.deepEqual(
+    i18n.sectionStrings(data, 'projects').filter((s) => s.path.startsWith('cards.')).map((s) => s.path),
+    ['cards.my-app.frontTitle', 'cards.my-app-2.frontTitle', 'cards.kept.frontTitle']
+  );
+});
+
+test('assignItemIds fills in missing and duplicate ids and keeps the rest', () => {
+  const data = site();
+  data.experience.items.push({ role: 'New', company: 'Three', details: [] }, { id: 'a1', role: 'Copy', company: 'Four', details: [] });
+  data.certifications = { title: 'Certifications', cards: [{ title: 'Cert' }] };
+
+  // Items without an id have no translatable strings until they get one.
+  assert.ok(!i18n.sectionStrings(data, 'experience').some((s) => s.text === 'New'));
+
+  i18n.assignItemIds(data);
+  const ids = data.experience.items.map((it) => it.id);
+  assert.deepEqual(ids.slice(0, 2), ['a1', 'b2']);
+  assert.match(ids[2], /^[a-z0-9]{8}$/);
+  assert.match(ids[3], /^[a-z0-9]{8}$/);
+  assert.equal(new Set(ids).size, 4);
+  assert.match(data.certifications.cards[0].id, /^[a-z0-9]{8}$/);
+  assert.ok(i18n.sectionStrings(data, 'experience').some((s) => s.path === `items.${ids[2]}.role`));
+});
+
+test('reports missing translations by path', () => {
+  const [de] = i18n.translationReport(site());
+  const projects = de.sections.find((s) => s.id === 'projects');
+  assert.equal(projects.total, 5);
+  assert.equal(projects.translated, 2);
+  assert.deepEqual(projects.missing, ['title', 'cards.engine.frontTitle', 'cards.engine.frontDesc']);
+});
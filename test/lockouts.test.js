@@ -0,0 +1,69 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-lockouts-'));
+
+const lockouts = require('../lib/lockouts');
+
+const MINUTE = 60 * 1000;
+
+before(() => mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1) }));
+
+after(() => {
+  mock.timers.reset();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+async function fail(username, times) {
+  let until = 0;
+  for (let i = 0; i < times; i += 1) until = await lockouts.recordFailure(username);
+  return until;
+}
+
+test('locks a username for 15 minutes after five failures', async () => {
+  assert.equal(await fail('ada', lockouts.MAX_FAILURES - 1), 0);
+  assert.equal(await lockouts.lockedUntil('ada'), 0);
+
+  const until = await fail('ada', 1);
+  assert.equal(until, Date.now() + 15 * MINUTE);
+  // Usernames are matched case-insensitively and trimmed.
+  assert.equal(await lockouts.lockedUntil('  ADA '), until);
+  assert.deepEqual(await lockouts.listLocked(), [{ username: 'ada', lockedUntil: new Date(until).toISOString() }]);
+
+  mock.timers.tick(15 * MINUTE - 1);
+  assert.equal(await lockouts.lockedUntil('ada'), until);
+  mock.timers.tick(1);
+  assert.equal(await lockouts.lockedUntil('ada'), 0);
+  assert.deepEqual(await lockouts.listLocked(), []);
+
+  // The count starts over once the lock has run out.
+  assert.equal(await fail('ada', lockouts.MAX_FAILURES - 1), 0);
+  await lockouts.clearFailures('ada');
+});
+
+test('only counts failures from the last 15 minutes', async () => {
+  await fail('bob', lockouts.MAX_FAILURES - 1);
+  mock.timers.tick(15 * MINUTE);
+  assert.equal(await fail('bob', 1), 0);
+  assert.equal(await lockouts.lockedUntil('bob'), 0);
+
+  mock.timers.tick(MINUTE);
+  assert.equal(await fail('bob', lockouts.MAX_FAILURES - 2), 0);
+  assert.ok((await fail('bob', 1)) > Date.now());
+});
+
+test('a successful sign-in clears the failures', async () => {
+  await fail('cy', lockouts.MAX_FAILURES - 1);
+  assert.equal(await lockouts.clearFailures('cy'), true);
+  assert.equal(await fail('cy', 1), 0);
+  assert.equal(await lockouts.clearFailures('nobody'), false);
+});
+
+test('counts concurrent failures without losing any', async () => {
+  const results = await Promise.all(Array.from({ length: lockouts.MAX_FAILURES }, () => lockouts.recordFailure('dee')));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.ok(await lockouts.lockedUntil('dee'));
+});
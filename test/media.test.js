@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-media-'));
+
+const media = require('../lib/media');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Small enough that no resize variant is made, so only the upfront decode can catch it.
+function image(format) {
+  const base = sharp({ create: { width: 200, height: 150, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 30 } } });
+  return base[format]().toBuffer();
+}
+
+function storedFiles() {
+  const dir = path.join(process.env.DATA_DIR, 'media');
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+test('rejects truncated images too small for variants and writes nothing', async () => {
+  for (const [format, mimetype] of [['jpeg', 'image/jpeg'], ['png', 'image/png']]) {
+    const full = await image(format);
+    const result = await media.saveUpload({ buffer: full.subarray(0, full.length / 2), originalName: `x.${format}`, mimetype });
+    assert.deepEqual(result, { ok: false, error: 'File is not a readable image.' });
+  }
+  assert.deepEqual(storedFiles(), []);
+  assert.deepEqual(await media.listMedia(), []);
+});
+
+test('stores a small readable image without variants', async () => {
+  const result = await media.saveUpload({ buffer: await image('png'), originalName: 'small.png', mimetype: 'image/png', uploadedBy: 'ada' });
+  assert.equal(result.ok, true);
+  assert.equal(result.item.width, 200);
+  assert.deepEqual(result.item.variants, []);
+  assert.deepEqual(storedFiles(), [result.item.file]);
+  assert.deepEqual((await media.listMedia()).map((m) => m.id), [result.item.id]);
+});
+
+test('rejects contents that do not match the declared type', async () => {
+  const result = await media.saveUpload({ buffer: await image('png'), originalName: 'x.jpg', mimetype: 'image/jpeg' });
+  assert.deepEqual(result, { ok: false, error: 'File contents do not match its type.' });
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const notify = require('../lib/notify');
+
+// Records every request; paths starting with /fail answer 500.
+const received = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (req.url.startsWith('/fail')) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('receiver is down');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end('{}');
+  });
+});
+let base = '';
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const event = notify.submissionEvent(
+  {
+    id: 'abc123',
+    createdAt: '2026-01-02T03:04:05.000Z',
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    subject: 'Project enquiry',
+    message: 'Hello there\nSecond line',
+    fields: [{ id: 'budget', label: 'Budget', value: '5k' }],
+    status: 'queued',
+  },
+  'https://example.com/admin/submissions?view=abc123'
+);
+
+async function deliverOne(channel) {
+  received.length = 0;
+  await notify.deliver(channel, event);
+  assert.equal(received.length, 1);
+  return received[0];
+}
+
+test('signs webhook payloads over "<timestamp>.<body>"', async () => {
+  const req = await deliverOne({ type: 'webhook', url: `${base}/hook`, secret: 's3cret' });
+  assert.equal(req.method, 'POST');
+  assert.equal(req.url, '/hook');
+  assert.equal(req.headers['content-type'], 'application/json');
+  assert.equal(req.headers['x-portfolio-event'], 'submission.created');
+
+  const timestamp = req.headers['x-portfolio-timestamp'];
+  assert.match(timestamp, /^\d+$/);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${req.body}`).digest('hex');
+  assert.equal(req.headers['x-portfolio-signature'], `sha256=${expected}`);
+  assert.deepEqual(JSON.parse(req.body), event);
+});
+
+test('leaves webhooks without a secret unsigned', async () => {
+  const req = await deliverOne({ type: 'webhook', url: `${base}/hook`, secret: '' });
+  assert.equal(req.headers['x-portfolio-signature'], undefined);
+  assert.ok(req.headers['x-portfolio-timestamp']);
+});
+
+test('posts Slack messages as text with a link to the admin', async () => {
+  const req = await deliverOne({ type: 'slack', url: `${base}/slack` });
+  const payload = JSON.parse(req.body);
+  assert.deepEqual(Object.keys(payload), ['text']);
+  assert.match(payload.text, /^\*New message from Ada Lovelace: Project enquiry\*\n/);
+  assert.match(payload.text, /Ada Lovelace <ada@example\.com>/);
+  assert.match(payload.text, />Hello there\n>Second line\n>Budget: 5k/);
+  assert.match(payload.text, /<https:\/\/example\.com\/admin\/submissions\?view=abc123\|Open in admin>$/);
+});
+
+test('posts Discord messages as content with mentions disabled', async () => {
+  const req = await deliverOne({ type: 'discord', url: `${base}/discord` });
+  const payload = JSON.parse(req.body);
+  assert.deepEqual(payload.allowed_mentions, { parse: [] });
+  assert.match(payload.content, /^\*\*New message from Ada Lovelace: Project enquiry\*\*\n/);
+  assert.match(payload.content, /Budget: 5k/);
+  assert.ok(payload.content.endsWith(event.adminUrl));
+  assert.ok(payload.content.length <= 2000);
+});
+
+test('publishes ntfy messages to the server root with the topic in the body', async () => {
+  const req = await deliverOne({ type: 'ntfy', url: `${base}/prefix/my-topic`, secret: 'tk_token' });
+  assert.equal(req.url, '/prefix');
+  assert.equal(req.headers.authorization, 'Bearer tk_token');
+  const payload = JSON.parse(req.body);
+  assert.equal(payload.topic, 'my-topic');
+  assert.equal(payload.title, 'New message from Ada Lovelace: Project enquiry');
+  assert.equal(payload.message, 'Hello there\nSecond line\nBudget: 5k');
+  assert.equal(payload.click, event.adminUrl);
+
+  const open = await deliverOne({ type: 'ntfy', url: `${base}/my-topic` });
+  assert.equal(open.url, '/');
+  assert.equal(open.headers.authorization, undefined);
+  assert.equal(JSON.parse(open.body).topic, 'my-topic');
+});
+
+test('throws on a non-2xx response', async () => {
+  await assert.rejects(
+    notify.deliver({ type: 'webhook', url: `${base}/fail`, secret: '' }, event),
+    /^Error: HTTP 500: receiver is down$/
+  );
+});
@@ -0,0 +1,184 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-outbox-'));
+
+const outbox = require('../lib/outbox');
+const submissionStore = require('../lib/submissions');
+
+// Just enough SMTP for nodemailer: MAIL FROM is refused with a 451 while `failing` is set.
+const smtp = { failing: false, attempts: 0, delivered: 0 };
+const sockets = new Set();
+const smtpServer = net.createServer((sock) => {
+  sockets.add(sock);
+  sock.on('close', () => sockets.delete(sock));
+  sock.on('error', () => {});
+  let inData = false;
+  let buffer = '';
+  sock.write('220 localhost ESMTP\r\n');
+  sock.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          smtp.delivered += 1;
+          sock.write('250 queued\r\n');
+        }
+        continue;
+      }
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') sock.write('250 localhost\r\n');
+      else if (command === 'MAIL') {
+        smtp.attempts += 1;
+        sock.write(smtp.failing ? '451 try again later\r\n' : '250 ok\r\n');
+      } else if (command === 'DATA') {
+        inData = true;
+        sock.write('354 go ahead\r\n');
+      } else if (command === 'QUIT') {
+        sock.end('221 bye\r\n');
+      } else sock.write('250 ok\r\n');
+    }
+  });
+});
+
+// Mirrors the server's outbox wiring: send over SMTP, then copy the outcome onto the submission.
+const waiting = [];
+let timer = null;
+
+function nextResult() {
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+before(async () => {
+  await new Promise((resolve) => smtpServer.listen(0, '127.0.0.1', resolve));
+  const transport = nodemailer.createTransport({ host: '127.0.0.1', port: smtpServer.address().port, secure: false, ignoreTLS: true });
+  // Only Date is mocked, so the worker still polls and SMTP still talks in real time.
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  timer = outbox.startOutbox({
+    send: (job) => transport.sendMail(job.message),
+    onResult: async (job) => {
+      await submissionStore.patchSubmission(job.submissionId, { status: submissionStore.deliveryStatus(job) });
+      const resolve = waiting.shift();
+      if (resolve) resolve(job);
+    },
+    pollMs: 10,
+  });
+});
+
+after(async () => {
+  clearInterval(timer);
+  mock.timers.reset();
+  sockets.forEach((sock) => sock.destroy());
+  await new Promise((resolve) => smtpServer.close(resolve));
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+async function queueContact(id) {
+  await submissionStore.appendSubmission({ id, name: 'Ada', email: 'ada@example.com', status: 'queued' });
+  await outbox.enqueue({
+    kind: 'contact',
+    submissionId: id,
+    message: { from: 'site@example.com', to: 'owner@example.com', subject: 'New message', text: 'Hello' },
+  });
+}
+
+async function statusOf(id) {
+  return (await submissionStore.listSubmissions()).find((s) => s.id === id).status;
+}
+
+function delayOf(job) {
+  return Date.parse(job.nextAttemptAt) - Date.parse(job.lastAttemptAt);
+}
+
+test('retries a failed send with backoff until it goes through', async () => {
+  smtp.failing = true;
+  smtp.delivered = 0;
+  let result = nextResult();
+  await queueContact('retry');
+
+  let job = await result;
+  assert.equal(job.status, 'pending');
+  assert.equal(job.attempts, 1);
+  assert.match(job.lastError, /451/);
+  assert.equal(delayOf(job), outbox.backoffMs(1));
+  assert.equal(await statusOf('retry'), 'queued');
+
+  // Not due yet: nothing is sent until the backoff has passed.
+  const attemptsSoFar = smtp.attempts;
+  mock.timers.tick(outbox.backoffMs(1) - 1000);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(smtp.attempts, attemptsSoFar);
+
+  result = nextResult();
+  mock.timers.tick(1000);
+  job = await result;
+  assert.equal(job.attempts, 2);
+  assert.equal(delayOf(job), outbox.backoffMs(2));
+  assert.equal(outbox.backoffMs(2), 2 * outbox.backoffMs(1));
+  assert.equal(await statusOf('retry'), 'queued');
+
+  smtp.failing = false;
+  result = nextResult();
+  mock.timers.tick(outbox.backoffMs(2));
+  job = await result;
+  assert.equal(job.status, 'sent');
+  assert.equal(job.attempts, 3);
+  assert.equal(job.lastError, '');
+  assert.equal(smtp.delivered, 1);
+  assert.equal(await statusOf('retry'), 'sent');
+});
+
+test('marks the submission send_failed only once the attempts run out', async () => {
+  smtp.failing = true;
+  let job;
+  for (let attempt = 1; attempt <= outbox.MAX_ATTEMPTS; attempt += 1) {
+    const result = nextResult();
+    if (attempt === 1) await queueContact('failing');
+    else mock.timers.tick(outbox.backoffMs(attempt - 1));
+    job = await result;
+    assert.equal(job.attempts, attempt);
+    if (attempt < outbox.MAX_ATTEMPTS) {
+      assert.equal(job.status, 'pending');
+      assert.equal(await statusOf('failing'), 'queued');
+    }
+  }
+  assert.equal(job.status, 'failed');
+  assert.equal(await statusOf('failing'), 'send_failed');
+
+  const attempts = smtp.attempts;
+  mock.timers.tick(24 * 60 * 60 * 1000);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(smtp.attempts, attempts);
+});
+
+test('drops the jobs of deleted submissions so they are not retried', async () => {
+  smtp.failing = true;
+  const result = nextResult();
+  await queueContact('deleted');
+  await result;
+
+  assert.equal(await outbox.dropForSubmissions(['deleted', 'unknown']), 1);
+  const jobs = await outbox.listJobs();
+  assert.deepEqual(outbox.jobsForSubmission(jobs, 'deleted'), []);
+  assert.equal(outbox.jobsForSubmission(jobs, 'retry').length, 1);
+
+  const attempts = smtp.attempts;
+  mock.timers.tick(outbox.backoffMs(1));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(smtp.attempts, attempts);
+  assert.equal(await outbox.dropForSubmissions(['deleted']), 0);
+});
+
+test('caps the backoff at six hours', () => {
+  assert.equal(outbox.backoffMs(1), 60 * 1000);
+  assert.equal(outbox.backoffMs(20), 6 * 60 * 60 * 1000);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { validateSite, formatErrors } = require('../lib/site-schema');
+
+function shippedSite() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'site.json'), 'utf8'));
+}
+
+test('the shipped data/site.json validates', () => {
+  const result = validateSite(shippedSite());
+  assert.deepEqual(formatErrors(result.errors), []);
+  assert.equal(result.ok, true);
+});
+
+test('invalid content gives one readable message per problem', () => {
+  const site = shippedSite();
+  site.meta.title = '';
+  site.hero = 5;
+  site.projects.cards[0].slug = 'Not A Slug';
+  site.experience.items[0].role = 'x'.repeat(121);
+  delete site.footer;
+
+  const result = validateSite(site);
+  assert.equal(result.ok, false);
+  assert.deepEqual(formatErrors(result.errors).sort(), [
+    'experience.items[0].role must be at most 120 characters',
+    'footer is required',
+    'hero must be an object',
+    'meta.title is required',
+    'projects.cards[0].slug has an invalid format',
+  ]);
+});
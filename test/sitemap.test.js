@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sitemap = require('../lib/sitemap');
+
+const absolute = (p) => `https://example.com${p}`;
+
+function tags(xml, name) {
+  return Array.from(xml.matchAll(new RegExp(`<${name}>([^<]*)</${name}>`, 'g')), (m) => m[1]);
+}
+
+// Two more pages than fit in one file; the newest page of each part is placed mid-chunk
+// so the index has to look at every entry, not just the last one.
+function manyEntries() {
+  const entries = [];
+  for (let i = 0; i < sitemap.MAX_URLS + 2; i += 1) {
+    entries.push({ path: `/page/${i}`, lastmod: '2026-01-01T00:00:00.000Z', images: [], alternates: [] });
+  }
+  entries[1234].lastmod = '2026-03-04T05:06:07.000Z';
+  entries[sitemap.MAX_URLS].lastmod = '2026-02-01T00:00:00.000Z';
+  return entries;
+}
+
+test('keeps a small site in one urlset', () => {
+  const chunks = sitemap.splitEntries([{ path: '/', lastmod: '2026-01-01T00:00:00.000Z' }]);
+  assert.equal(chunks.length, 1);
+  const xml = sitemap.urlsetXml(chunks[0], absolute);
+  assert.deepEqual(tags(xml, 'loc'), ['https://example.com/']);
+  assert.deepEqual(tags(xml, 'lastmod'), ['2026-01-01T00:00:00.000Z']);
+});
+
+test('splits more than MAX_URLS pages into parts listed by an index', () => {
+  const entries = manyEntries();
+  const chunks = sitemap.splitEntries(entries);
+  assert.deepEqual(chunks.map((c) => c.length), [sitemap.MAX_URLS, 2]);
+
+  const index = sitemap.indexXml(sitemap.indexFiles(chunks), absolute);
+  assert.match(index, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<sitemapindex xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+  assert.deepEqual(tags(index, 'loc'), ['https://example.com/sitemap-1.xml', 'https://example.com/sitemap-2.xml']);
+  assert.deepEqual(tags(index, 'lastmod'), ['2026-03-04T05:06:07.000Z', '2026-02-01T00:00:00.000Z']);
+
+  const first = sitemap.urlsetXml(chunks[0], absolute);
+  const firstLocs = tags(first, 'loc');
+  assert.equal(firstLocs.length, sitemap.MAX_URLS);
+  assert.equal(firstLocs[0], 'https://example.com/page/0');
+  assert.equal(firstLocs[firstLocs.length - 1], `https://example.com/page/${sitemap.MAX_URLS - 1}`);
+  assert.equal(tags(first, 'lastmod').length, sitemap.MAX_URLS);
+
+  const second = sitemap.urlsetXml(chunks[1], absolute);
+  assert.deepEqual(tags(second, 'loc'), [
+    `https://example.com/page/${sitemap.MAX_URLS}`,
+    `https://example.com/page/${sitemap.MAX_URLS + 1}`,
+  ]);
+  assert.deepEqual(tags(second, 'lastmod'), ['2026-02-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+});
+
+test('escapes URLs in both the urlset and the index', () => {
+  const xml = sitemap.urlsetXml([{ path: '/a?b=1&c=2' }], absolute);
+  assert.deepEqual(tags(xml, 'loc'), ['https://example.com/a?b=1&amp;c=2']);
+  const index = sitemap.indexXml([{ path: '/x&y.xml' }], absolute);
+  assert.deepEqual(tags(index, 'loc'), ['https://example.com/x&amp;y.xml']);
+  assert.deepEqual(tags(index, 'lastmod'), []);
+});
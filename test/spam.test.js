@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const spam = require('../lib/spam');
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2026, 0, 1, 12);
+const MINUTE = 60 * 1000;
+
+// A message a real visitor would send: token issued a few minutes ago, no links.
+function enquiry(overrides) {
+  return Object.assign(
+    {
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      subject: 'Project enquiry',
+      message: 'Hi, we are building a crypto wallet and need a backend developer. Are you available?',
+      honeypot: '',
+      formToken: spam.issueFormToken(SECRET, NOW - 5 * MINUTE),
+    },
+    overrides
+  );
+}
+
+function score(input, options) {
+  return spam.scoreSubmission(input, Object.assign({ secret: SECRET, now: NOW }, options));
+}
+
+test('lets a genuine enquiry through, including industry words', () => {
+  assert.deepEqual(score(enquiry()), { spam: false, score: 0, reasons: [] });
+});
+
+test('flags a filled honeypot', () => {
+  const result = score(enquiry({ honeypot: 'http://spam.example' }));
+  assert.equal(result.spam, true);
+  assert.deepEqual(result.reasons, ['honeypot filled']);
+});
+
+test('flags missing, forged and foreign-secret form tokens', () => {
+  const [issuedAt] = spam.issueFormToken(SECRET, NOW - 5 * MINUTE).split('.');
+  const tokens = ['', 'garbage', `${issuedAt}.${'0'.repeat(32)}`, spam.issueFormToken('other-secret', NOW - 5 * MINUTE)];
+  tokens.forEach((formToken) => {
+    const result = score(enquiry({ formToken }));
+    assert.equal(result.spam, true, formToken);
+    assert.deepEqual(result.reasons, ['missing or invalid form token']);
+  });
+
+  // Moving the timestamp breaks the signature.
+  const signature = spam.issueFormToken(SECRET, NOW - 5 * MINUTE).split('.')[1];
+  assert.equal(spam.formTokenAge(SECRET, `${NOW - 10 * MINUTE}.${signature}`, NOW), null);
+  assert.equal(spam.formTokenAge(SECRET, spam.issueFormToken(SECRET, NOW - MINUTE), NOW), MINUTE);
+});
+
+test('flags forms sent within three seconds of loading', () => {
+  const quick = score(enquiry({ formToken: spam.issueFormToken(SECRET, NOW - 2999) }));
+  assert.equal(quick.spam, true);
+  assert.deepEqual(quick.reasons, ['submitted too quickly']);
+  assert.equal(score(enquiry({ formToken: spam.issueFormToken(SECRET, NOW - 3000) })).spam, false);
+});
+
+test('counts an expired token against the message without flagging it alone', () => {
+  const result = score(enquiry({ formToken: spam.issueFormToken(SECRET, NOW - 25 * 60 * MINUTE) }));
+  assert.deepEqual(result, { spam: false, score: 2, reasons: ['form token expired'] });
+});
+
+test('allows two links and scores each one past that', () => {
+  const links = (n) => Array.from({ length: n }, (_, i) => `https://site${i}.example`).join(' ');
+  assert.equal(score(enquiry({ message: links(2) })).score, 0);
+  assert.deepEqual(score(enquiry({ message: links(3) })), { spam: false, score: 3, reasons: ['3 links'] });
+  assert.equal(score(enquiry({ subject: 'www.one.example', message: links(3) })).spam, true);
+  assert.deepEqual(score(enquiry({ name: 'www.cheap.example' })).reasons, ['link in name']);
+});
+
+test('scores built-in and admin keywords, two points each', () => {
+  const builtIn = score(enquiry({ message: 'We sell BACKLINKS and SEO services.' }));
+  assert.deepEqual(builtIn, { spam: false, score: 4, reasons: ['keyword "seo services"', 'keyword "backlinks"'] });
+
+  assert.equal(spam.DEFAULT_KEYWORDS.includes('crypto'), false);
+  const custom = score(enquiry(), { keywords: ['Crypto', 'wallet', 'backend developer'] });
+  assert.deepEqual(custom.reasons, ['keyword "crypto"', 'keyword "wallet"', 'keyword "backend developer"']);
+  assert.equal(custom.spam, true);
+});
+
+test('matches blocked addresses and domains, including subdomains', () => {
+  const blocklist = ['spammer@mail.example', '@bad.example', 'worse.example'];
+  assert.equal(spam.isBlocked('SPAMMER@mail.example', blocklist), true);
+  assert.equal(spam.isBlocked('friend@mail.example', blocklist), false);
+  assert.equal(spam.isBlocked('x@bad.example', blocklist), true);
+  assert.equal(spam.isBlocked('x@eu.worse.example', blocklist), true);
+  assert.equal(spam.isBlocked('x@notbad.example', blocklist), false);
+  assert.equal(spam.isBlocked('x@bad.example.com', blocklist), false);
+
+  const result = score(enquiry({ email: 'ada@eu.worse.example' }), { blocklist: blocklist.join('\n') });
+  assert.deepEqual(result, { spam: true, score: 10, reasons: ['blocked sender'] });
+});
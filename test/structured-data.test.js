@@ -0,0 +1,178 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const structuredData = require('../lib/structured-data');
+
+const ctx = { baseUrl: 'https://example.com', withBasePath: (p) => `/site${p}` };
+const PERSON_ID = 'https://example.com/site/#person';
+
+function site() {
+  return {
+    meta: { description: 'Backend engineer.' },
+    hero: {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      titles: ['Software Engineer', 'Writer'],
+      image: '/media/ada.webp',
+      socials: [
+        { label: 'GitHub', href: 'https://github.com/ada' },
+        { label: 'Email', href: 'mailto:ada@example.com' },
+      ],
+    },
+    experience: {
+      items: [
+        { role: 'Lead', company: 'Analytical Engines', date: '2024 - Present' },
+        { role: 'Engineer', company: 'Difference Ltd', date: '2020 - 2024' },
+        { role: 'Intern', company: 'Difference Ltd', date: '2019 - 2020' },
+        { role: 'Advisor', company: 'Analytical Engines', date: '2018 - 2019' },
+        { role: 'Volunteer', company: '', date: '2017' },
+      ],
+    },
+    certifications: {
+      cards: [
+        {
+          title: 'Cloud Architect',
+          desc: 'Designing cloud systems.',
+          ribbon: { text: 'Professional' },
+          meta: [
+            { icon: 'fa-solid fa-building', text: 'Cloud Co' },
+            { icon: 'fa-regular fa-calendar', text: '2025-03' },
+          ],
+        },
+        { title: 'Workshop', meta: [{ icon: 'fa-regular fa-calendar', text: 'Spring 2024' }] },
+        { title: '' },
+      ],
+    },
+    blog: {
+      posts: [
+        { slug: 'hello', title: 'Hello </script>', excerpt: 'First post', date: '2026-01-15', category: 'Notes', body: 'one two three' },
+        { title: 'Elsewhere', href: 'https://medium.com/@ada/elsewhere', date: 'someday' },
+      ],
+    },
+    projects: {
+      cards: [
+        { slug: 'engine', frontTitle: 'Engine', frontDesc: 'Front', backDesc: 'Back', body: 'Details', tech: ['Node', ' Rust '], link: { type: 'link', href: 'https://engine.dev' } },
+        { frontTitle: 'Notes', frontDesc: 'Only front', link: { type: 'status', href: 'https://ignored.dev' } },
+      ],
+    },
+    github: {
+      pinned: [{ name: 'engine', desc: 'The engine', href: 'https://github.com/ada/engine', lang: { name: 'Rust' } }],
+    },
+  };
+}
+
+function nodesOf(graph, type) {
+  return graph['@graph'].filter((n) => n['@type'] === type);
+}
+
+test('builds worksFor and alumniOf from the experience items', () => {
+  const [person] = nodesOf(structuredData.homeGraph(site(), ctx), 'Person');
+  assert.equal(person['@id'], PERSON_ID);
+  assert.equal(person.name, 'Ada Lovelace');
+  assert.equal(person.url, 'https://example.com/site/');
+  assert.equal(person.jobTitle, 'Software Engineer');
+  assert.equal(person.image, 'https://example.com/site/media/ada.webp');
+  assert.deepEqual(person.sameAs, ['https://github.com/ada']);
+  assert.deepEqual(person.worksFor, [{ '@type': 'Organization', name: 'Analytical Engines' }]);
+  // A current employer is never also listed as a past one.
+  assert.deepEqual(person.alumniOf, [{ '@type': 'Organization', name: 'Difference Ltd' }]);
+});
+
+test('builds hasCredential from the certification cards', () => {
+  const [person] = nodesOf(structuredData.homeGraph(site(), ctx), 'Person');
+  assert.deepEqual(person.hasCredential, [
+    {
+      '@type': 'EducationalOccupationalCredential',
+      name: 'Cloud Architect',
+      description: 'Designing cloud systems.',
+      credentialCategory: 'Professional',
+      recognizedBy: { '@type': 'Organization', name: 'Cloud Co' },
+      dateCreated: '2025-03',
+    },
+    // Free-text dates are not claimed as dateCreated.
+    { '@type': 'EducationalOccupationalCredential', name: 'Workshop' },
+  ]);
+});
+
+test('leaves disabled sections out of the graph', () => {
+  const data = site();
+  data.experience.enabled = false;
+  data.certifications.enabled = false;
+  data.blog.enabled = false;
+  data.projects.enabled = false;
+  data.github.enabled = false;
+  const graph = structuredData.homeGraph(data, ctx);
+  assert.equal(graph['@graph'].length, 1);
+  const [person] = graph['@graph'];
+  assert.equal(person.worksFor, undefined);
+  assert.equal(person.alumniOf, undefined);
+  assert.equal(person.hasCredential, undefined);
+});
+
+test('adds BlogPosting, CreativeWork and SoftwareSourceCode nodes', () => {
+  const graph = structuredData.homeGraph(site(), ctx);
+  assert.equal(graph['@context'], 'https://schema.org');
+
+  const [post, external] = nodesOf(graph, 'BlogPosting');
+  assert.deepEqual(post, {
+    '@type': 'BlogPosting',
+    headline: 'Hello </script>',
+    description: 'First post',
+    url: 'https://example.com/site/blog/hello',
+    mainEntityOfPage: 'https://example.com/site/blog/hello',
+    datePublished: '2026-01-15T00:00:00.000Z',
+    articleSection: 'Notes',
+    wordCount: 3,
+    author: { '@id': PERSON_ID },
+  });
+  assert.equal(external.url, 'https://medium.com/@ada/elsewhere');
+  assert.equal(external.datePublished, undefined);
+  assert.equal(external.wordCount, undefined);
+
+  const [engine, notes] = nodesOf(graph, 'CreativeWork');
+  assert.deepEqual(engine, {
+    '@type': 'CreativeWork',
+    name: 'Engine',
+    description: 'Back',
+    url: 'https://example.com/site/projects/engine',
+    sameAs: 'https://engine.dev',
+    keywords: 'Node, Rust',
+    creator: { '@id': PERSON_ID },
+  });
+  assert.equal(notes.description, 'Only front');
+  assert.equal(notes.url, undefined);
+
+  assert.deepEqual(nodesOf(graph, 'SoftwareSourceCode'), [
+    {
+      '@type': 'SoftwareSourceCode',
+      name: 'engine',
+      description: 'The engine',
+      codeRepository: 'https://github.com/ada/engine',
+      programmingLanguage: 'Rust',
+      author: { '@id': PERSON_ID },
+    },
+  ]);
+});
+
+test('pageGraph pairs a page node with the Person it points at', () => {
+  const data = site();
+  const node = structuredData.caseStudyArticle({ slug: 'migration', title: 'Migration', challenge: 'Old stack', body: 'Story' }, ctx);
+  const graph = structuredData.pageGraph(data, node, ctx);
+  assert.deepEqual(graph['@graph'], [
+    {
+      '@type': 'Article',
+      headline: 'Migration',
+      description: 'Old stack',
+      url: 'https://example.com/site/case-studies/migration',
+      author: { '@id': PERSON_ID },
+    },
+    { '@type': 'Person', '@id': PERSON_ID, name: 'Ada Lovelace', url: 'https://example.com/site/' },
+  ]);
+});
+
+test('serialize escapes "<" so content cannot close the script tag', () => {
+  const json = structuredData.serialize(structuredData.homeGraph(site(), ctx));
+  assert.ok(!json.includes('<'));
+  assert.ok(json.includes('Hello \\u003c/script>'));
+  assert.deepEqual(JSON.parse(json), structuredData.homeGraph(site(), ctx));
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-totp-'));
+
+const totp = require('../lib/totp');
+const users = require('../lib/users');
+
+// RFC 6238 appendix B uses the ASCII seed "12345678901234567890" for SHA-1.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+before(() => {
+  fs.writeFileSync(users.USERS_JSON_PATH, JSON.stringify([{ username: 'ada', role: 'owner', passwordHash: 'x' }]));
+});
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('matches the RFC 4226 HOTP vectors', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+  expected.forEach((code, counter) => assert.equal(totp.hotp(RFC_SECRET, counter), code));
+});
+
+test('matches the RFC 6238 TOTP vectors (last six digits)', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ];
+  vectors.forEach(([seconds, code]) => {
+    const now = seconds * 1000;
+    assert.equal(totp.hotp(RFC_SECRET, totp.currentCounter(now)), code);
+    assert.equal(totp.verifyTotp(RFC_SECRET, code, { now }), totp.currentCounter(now));
+  });
+});
+
+test('accepts codes one step either side and nothing further', () => {
+  const now = 59 * 1000; // time step 1
+  assert.equal(totp.verifyTotp(RFC_SECRET, '755224', { now }), 0);
+  assert.equal(totp.verifyTotp(RFC_SECRET, '287082', { now }), 1);
+  assert.equal(totp.verifyTotp(RFC_SECRET, '359152', { now }), 2);
+  assert.equal(totp.verifyTotp(RFC_SECRET, '969429', { now }), null);
+  assert.equal(totp.verifyTotp(RFC_SECRET, '755224', { now, window: 0 }), null);
+  assert.equal(totp.verifyTotp(RFC_SECRET, '287 082', { now }), 1);
+  assert.equal(totp.verifyTotp(RFC_SECRET, '28708', { now }), null);
+  assert.equal(totp.verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+});
+
+test('round-trips generated secrets through base32', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const counter = totp.currentCounter();
+  assert.equal(totp.verifyTotp(secret, totp.hotp(secret, counter)), counter);
+});
+
+test('refuses a code from a time step that was already used', async () => {
+  const secret = totp.generateSecret();
+  const now = totp.currentCounter();
+  await users.enableTotp('ada', secret, now - 2);
+
+  assert.deepEqual(await users.verifySecondFactor('ada', totp.hotp(secret, now)), { method: 'totp' });
+  assert.match((await users.verifySecondFactor('ada', totp.hotp(secret, now))).error, /already used/);
+  // An older code inside the drift window is a replay too once a later one was accepted.
+  assert.match((await users.verifySecondFactor('ada', totp.hotp(secret, now - 1))).error, /already used/);
+  assert.equal((await users.findUser('ada')).totp.lastCounter, now);
+});
+
+test('accepts each recovery code once', async () => {
+  const { recoveryCodes } = await users.enableTotp('ada', totp.generateSecret(), totp.currentCounter());
+  assert.equal(recoveryCodes.length, 10);
+
+  const [first, second] = recoveryCodes;
+  assert.deepEqual(await users.verifySecondFactor('ada', first.toUpperCase()), { method: 'recovery', remainingRecoveryCodes: 9 });
+  assert.deepEqual(await users.verifySecondFactor('ada', first), { error: 'Invalid code.' });
+  assert.deepEqual(await users.verifySecondFactor('ada', ` ${second.replace('-', '')} `), { method: 'recovery', remainingRecoveryCodes: 8 });
+
+  // Only hashes are stored.
+  const stored = (await users.findUser('ada')).totp.recoveryCodes;
+  assert.equal(stored.length, 8);
+  assert.ok(!stored.some((h) => recoveryCodes.includes(h)));
+});